@@ -20,9 +20,16 @@ var express = require('express'),
     Skylith = require('../skylith'),
     skylith = new Skylith({
         providerEndpoint: PROVIDER_ENDPOINT,
-        checkAuth: checkAuth
+        checkAuth: checkAuth,
+        returnToVerification: true  // The outcome is in context.returnToVerification
+        // README.md describes the other options
     });
 
+// An audit log. README.md lists the other events
+skylith.on('assertion', function(event) {
+    console.log('%s asserted %s to %s', event.time.toISOString(), event.claimedId, event.realm || event.returnTo);
+});
+
 var app = express();
 
 app.use(express.urlencoded());
@@ -37,10 +44,12 @@ app.use(express.session({
         maxAge: 1 * 60 * 1000   // We use sessions for maintaining state between Skylith calls so this can be quite short
     }
 }));
+// skylith.connect() is the same middleware, for Connect and Express 4+. Without a framework, use
+// http.createServer(skylith.http()). For Koa, app.use(mount('/openid', skylith.koa())) - see lib/adapters/koa.js
 app.use('/openid', skylith.express());
 
 app.get('/login', function(req, res, next) {
-    // Inspect 'ax' in the stored context to see which attributes the RP is requesting.
+    // Inspect 'ax' in the session (copied from the context by checkAuth) to see which attributes the RP wants.
     // You SHOULD prompt the user to release these attributes. The suggested flow here is
     // to authenticate the user (login), and then on a subsequent page request
     // permission to release data.
@@ -61,23 +70,48 @@ app.post('/login', function(req, res, next) {
 
         // Having got permission to release data, form an AX response (this should be done in
         // conjunction with the 'ax' attribute in the stored context to see what (if any)
-        // attributes the Relying Party wants):
+        // attributes the Relying Party wants). context.ax.attributes lists each requested type,
+        // whether it is required and how many values may be sent. Extra values are dropped, and
+        // completeAuth() fails if a required attribute has no value:
         var axResponse = {
             'http://axschema.org/namePerson/friendly': req.body.username,
             'http://axschema.org/contact/email': req.body.username.toLowerCase() + '@example.com',
             'http://axschema.org/namePerson': req.body.username + ' Smith'
         }
 
+        // If context.ax.fields.mode is 'store_request', the Relying Party wants you to store the attributes
+        // listed in context.ax.attributes instead. In that case, send { stored: true } (or { stored: false,
+        // error: '...' }) as 'ax' rather than attribute values.
+
+        // Similarly, 'sreg' in the stored context lists the Simple Registration fields the Relying Party
+        // wants. Only requested fields are sent.
+        var sregResponse = {
+            nickname: req.body.username,
+            email: req.body.username.toLowerCase() + '@example.com',
+            fullname: req.body.username + ' Smith'
+        }
+
+        // If the stored context contains 'pape', the Relying Party has asked about the authentication
+        // policies in force (and possibly max_auth_age). Report what you actually did.
+        var papeResponse = {
+            auth_policies: [],  // e.g. 'http://schemas.openid.net/pape/policies/2007/06/multi-factor'
+            auth_time: new Date()
+        }
+
         var authResponse = {
-            context: req.session.skylith,
             identity: req.body.username,
-            ax: axResponse
+            ax: axResponse,
+            sreg: sregResponse,
+            pape: papeResponse,
+            consent: true   // If the user ticked "remember this site". Or { attributes, expirySecs }
         }
 
-        skylith.completeAuth(req, res, authResponse);
+        // completeAuth() and rejectAuth() take the handle from the context and return promises (or take a
+        // callback as the last argument). If they fail, nothing has been sent. Each handle can only be used once
+        skylith.completeAuth(req, res, req.session.skylith.handle, authResponse).catch(next);
     } else if ('cancel' in req.body) {
         // User cancelled authentication
-        skylith.rejectAuth(req, res, req.session.skylith);
+        skylith.rejectAuth(req, res, req.session.skylith.handle).catch(next);
     } else {
         next();
     }
@@ -91,16 +125,24 @@ app.listen(PORT, function() {
 function checkAuth(req, res, allowInteraction, context) {
     // Skylith wants to know if the user is already logged in or not. Check your session/cookies/whatever.
     // * If the user is already logged in, call skylith.completeAuth()
-    // * If the user is NOT logged in and allowInteraction is true, store context somewhere (suggest not
-    //   in a cookie because it can be quite big), prompt the user to login and when they're done call
-    //   skylith.completeAuth()
+    // * If the user is NOT logged in and allowInteraction is true, store context.handle somewhere, prompt
+    //   the user to login and when they're done call skylith.completeAuth() with it. Skylith keeps the
+    //   request itself, so changes to context have no effect
     // * If the user is NOT logged in and allowInteraction is false, call skylith.rejectAuth()
+    // Unless context.identity.select is true, the Relying Party is asking about a particular user,
+    // context.identity.expected. Log in as anyone else and completeAuth() will fail.
+    // checkAuth can be an async function. If its promise is rejected, the error goes to next()
+    // context.consent (when Skylith knows who the user is) says whether they've already agreed to the realm,
+    // and lists the AX attribute types they've agreed to release to it and those which still need asking about.
+    // Consent can also be managed with skylith.grantConsent(), revokeConsent() and getConsent()
 
     // This example assumes you're not already logged in
     if (allowInteraction) {
-        req.session.skylith = context;
+        req.session.skylith = { handle: context.handle, ax: context.ax, sreg: context.sreg, pape: context.pape };
         res.redirect(302, '/login');
     } else {
-        // TODO - check_immediate isn't implemented yet
+        // Without currentIdentity, checkid_immediate is up to you. With it, you're only asked when the user
+        // has agreed but attribute values are needed
+        return skylith.rejectAuth(req, res, context.handle);
     }
 }
@@ -0,0 +1,77 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Content negotiation (RFC 2616, section 14.1). Picks whichever of 'offered' the Accept header rates highest.
+// Explicitly listed types beat wildcards of the same quality, and remaining ties go to the earliest offered.
+// Returns undefined if nothing offered is acceptable, and the first offered type if there's no header at all.
+exports.choose = function(acceptHeader, offered) {
+    if (!acceptHeader) return offered[0];
+
+    var ranges = parse(acceptHeader),
+        best,
+        bestQuality = 0,
+        bestSpecificity = -1;
+
+    offered.forEach(function(type) {
+        var match = bestMatch(ranges, type);
+
+        if (!match || match.quality === 0) return;
+
+        if (match.quality > bestQuality || (match.quality === bestQuality && match.specificity > bestSpecificity)) {
+            best = type;
+            bestQuality = match.quality;
+            bestSpecificity = match.specificity;
+        }
+    });
+
+    return best;
+}
+
+function parse(acceptHeader) {
+    return acceptHeader.split(',').map(function(range) {
+        var params = range.split(';'),
+            type = params.shift().trim().toLowerCase(),
+            quality = 1;
+
+        params.forEach(function(param) {
+            var match = /^\s*q\s*=\s*([0-9.]+)\s*$/.exec(param);
+            if (match) quality = Math.min(Math.max(parseFloat(match[1]) || 0, 0), 1);
+        });
+
+        return { type: type, quality: quality };
+    }).filter(function(range) {
+        return /^[^\/\s]+\/[^\/\s]+$/.test(range.type);
+    });
+}
+
+function bestMatch(ranges, type) {
+    // The most specific matching range decides the quality
+    var best;
+
+    ranges.forEach(function(range) {
+        var specificity = rangeSpecificity(range.type, type);
+
+        if (specificity < 0) return;
+        if (!best || specificity > best.specificity) best = { quality: range.quality, specificity: specificity };
+    });
+
+    return best;
+}
+
+function rangeSpecificity(range, type) {
+    if (range === type) return 2;
+    if (range === '*/*') return 0;
+    if (range.slice(-2) === '/*' && range.slice(0, -1) === type.slice(0, type.indexOf('/') + 1)) return 1;
+    return -1;
+}
@@ -0,0 +1,35 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var node = require('./node');
+
+// Middleware for Connect and Express. It can be mounted anywhere (see discovery in skylith.js). Requests which
+// aren't for Skylith go to the next middleware, and errors to the error handler
+function connectAdapter(provider) {
+    return function(req, res, next) {
+        provider.readBody(req, function(err, body) {
+            if (err) return next(err);
+
+            provider.handleRequest(node.toHttpRequest(req, res, req.url, body), function(err, response) {
+                if (err) return next(err);
+                if (!response) return next();
+
+                // Otherwise checkAuth has it, and completeAuth or rejectAuth will respond
+                if (!response.pending) node.send(res, response);
+            });
+        });
+    }
+}
+
+exports = module.exports = connectAdapter;
@@ -0,0 +1,69 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var node = require('./node');
+
+// A request listener for http.createServer(), or anything else which passes Node requests and responses.
+// Only requests for mountPath or beneath it are looked at. If next is given, other requests (and errors) go to
+// it, otherwise they get a 404 (or a 500)
+function httpAdapter(provider, mountPath) {
+    mountPath = mountPath.replace(/\/+$/, '');
+
+    return function(req, res, next) {
+        var requestUrl = relativeUrl(req.url, mountPath);
+
+        if (requestUrl === null) return notFound();
+
+        provider.readBody(req, function(err, body) {
+            if (err) return fail(err);
+
+            provider.handleRequest(node.toHttpRequest(req, res, requestUrl, body), function(err, response) {
+                if (err) return fail(err);
+                if (!response) return notFound();
+
+                if (!response.pending) node.send(res, response);
+            });
+        });
+
+        function notFound() {
+            if (next) return next();
+
+            node.send(res, {
+                status: 404,
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+                body: 'Not Found'
+            });
+        }
+
+        function fail(err) {
+            if (next) return next(err);
+
+            node.sendError(res, err);
+        }
+    }
+}
+
+// The URL as the core expects it - relative to the mount path, like Connect does it
+function relativeUrl(requestUrl, mountPath) {
+    var pathEnd = requestUrl.search(/[?#]/),
+        path = pathEnd === -1 ? requestUrl : requestUrl.substr(0, pathEnd);
+
+    if (path !== mountPath && path.substr(0, mountPath.length + 1) !== mountPath + '/') return null;
+
+    var rest = requestUrl.substr(mountPath.length);
+
+    return rest.charAt(0) === '/' ? rest : '/' + rest;
+}
+
+exports = module.exports = httpAdapter;
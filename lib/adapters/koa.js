@@ -0,0 +1,60 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Middleware for Koa 2 and later. Uses ctx.request.body if a body parser got there first. checkAuth is called
+// with (ctx, interactive, context). The core waits for any promise it returns, so it can respond with
+// send(ctx, response) once it has one from completeAuthResponse() or rejectAuthResponse()
+function koaAdapter(provider) {
+    return function(ctx, next) {
+        return new Promise(function(resolve, reject) {
+            if (ctx.request.body) return withBody(null, ctx.request.body);
+
+            provider.readBody(ctx.req, withBody);
+
+            function withBody(err, body) {
+                if (err) return reject(err);
+
+                provider.handleRequest({
+                    method: ctx.method,
+                    url: ctx.url,
+                    originalUrl: ctx.originalUrl,
+                    headers: ctx.headers,
+                    secure: ctx.secure,
+                    body: body,
+                    args: [ctx]
+                }, function(err, response) {
+                    if (err) return reject(err);
+
+                    resolve(response);
+                });
+            }
+        }).then(function(response) {
+            if (!response) return next();
+
+            if (!response.pending) send(ctx, response);
+        });
+    }
+}
+
+function send(ctx, response) {
+    ctx.status = response.status;
+    for (var name in response.headers) {
+        ctx.set(name, response.headers[name]);
+    }
+    ctx.body = response.body || '';
+}
+
+exports = module.exports = koaAdapter;
+
+exports.send = send;
@@ -0,0 +1,59 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Helpers for adapters which use Node's own request and response objects (plain http, Connect and Express)
+exports.toHttpRequest = function(req, res, requestUrl, body) {
+    return {
+        method: req.method,
+        url: requestUrl,
+        originalUrl: req.originalUrl || req.url,
+        headers: req.headers,
+        // Express knows about proxies (see its 'trust proxy' setting). Otherwise, look at the connection
+        secure: 'secure' in req ? !!req.secure : !!(req.connection && req.connection.encrypted),
+        body: body,
+        args: [req, res]
+    };
+}
+
+exports.send = function(res, response) {
+    var body = response.body || '';
+
+    res.statusCode = response.status;
+    for (var name in response.headers) {
+        res.setHeader(name, response.headers[name]);
+    }
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.end(body);
+}
+
+// Errors with a 4xx status (e.g. from reading the body) say what was wrong. Anything else is a 500
+exports.sendError = function(res, err) {
+    var status = err && err.status >= 400 && err.status < 500 ? err.status : 500;
+
+    exports.send(res, {
+        status: status,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+        body: status === 500 ? 'Internal Server Error' : err.message
+    });
+}
+
+// A callback for the core which writes its response to res, then calls next. Errors go straight to next
+exports.responder = function(res, next) {
+    return function(err, response) {
+        if (err) return next(err);
+
+        exports.send(res, response);
+        next(null);
+    }
+}
@@ -0,0 +1,107 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// What each user has agreed to: that a realm may be told who they are and, optionally, which AX attribute
+// types may be released to it. Each consent expires, and can be revoked. Kept in a store (put, get and
+// delete, keyed by consent.key)
+// Options: store, expirySecs (the default lifetime of a consent)
+function Consents(options) {
+    if (!(this instanceof Consents)) {
+        return new Consents(options);
+    }
+
+    var store = options.store;
+    var expirySecs = options.expirySecs;
+
+    // Adds to any consent the user has already given the realm, and starts its lifetime again.
+    // Options: attributes (AX attribute types), expirySecs
+    this.grant = function(identity, realm, grantOptions, next) {
+        get(identity, realm, function(err, consent) {
+            if (err) return next(err);
+
+            var attributes = consent ? consent.attributes.slice() : [];
+
+            (grantOptions.attributes || []).forEach(function(type) {
+                if (attributes.indexOf(type) === -1) attributes.push(type);
+            });
+
+            consent = {
+                key: keyOf(identity, realm),
+                identity: identity,
+                realm: realm,
+                attributes: attributes,
+                granted: Date.now(),
+                expiry: Date.now() + ((grantOptions.expirySecs || expirySecs) * 1000)
+            };
+
+            store.put(consent, function(err) {
+                next(err, err ? undefined : consent);
+            });
+        });
+    }
+
+    this.revoke = function(identity, realm, next) {
+        store.delete(keyOf(identity, realm), next);
+    }
+
+    this.get = get;
+
+    // How far the user's consent goes for a request. requestedAttributes is a list of { type, required }
+    this.check = function(identity, realm, requestedAttributes, next) {
+        get(identity, realm, function(err, consent) {
+            if (err) return next(err);
+
+            var approved = consent ? consent.attributes : [],
+                result = {
+                    identity: identity,
+                    realm: realm,
+                    granted: !!consent,
+                    expiry: consent ? consent.expiry : undefined,
+                    attributes: [],
+                    needed: []
+                };
+
+            requestedAttributes.forEach(function(attribute) {
+                if (approved.indexOf(attribute.type) !== -1) {
+                    result.attributes.push(attribute.type);
+                } else {
+                    result.needed.push(attribute.type);
+                }
+            });
+
+            next(null, result);
+        });
+    }
+
+    function get(identity, realm, next) {
+        var key = keyOf(identity, realm);
+
+        store.get(key, function(err, consent) {
+            if (err) return next(err);
+            if (!consent || consent.expiry >= Date.now()) return next(null, consent || null);
+
+            // Not every store expires entries by itself
+            store.delete(key, function(err) {
+                next(err, null);
+            });
+        });
+    }
+}
+
+function keyOf(identity, realm) {
+    // Neither identities nor realms are restricted enough to join with a separator
+    return JSON.stringify([identity, realm]);
+}
+
+exports = module.exports = Consents;
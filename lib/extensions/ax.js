@@ -0,0 +1,182 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var util = require('util');
+
+// Attribute Exchange 1.0
+
+exports.name = 'ax';
+exports.ns = 'http://openid.net/srv/ax/1.0';
+
+exports.parseRequest = function(axRequest) {
+    var attributes;
+
+    if (axRequest.fields.mode === 'store_request') {
+        attributes = parseStoreRequest(axRequest.fields);
+    } else if (axRequest.fields.mode === 'fetch_request') {
+        attributes = parseFetchRequest(axRequest.fields);
+        if (!attributes) return new Error('Invalid attribute exchange count');
+    } else {
+        return new Error('Unexpected attribute exchange mode');
+    }
+
+    return {
+        alias: axRequest.alias,
+        fields: axRequest.fields,
+        attributes: attributes
+    };
+}
+
+exports.formatResponse = function(context, axResponse) {
+    axResponse = axResponse || {};
+
+    return context.fields.mode === 'store_request' ? formatStoreResponse(axResponse) : formatFetchResponse(context, axResponse);
+}
+
+function formatStoreResponse(axResponse) {
+    // AX 1.0, section 6.2. Anything other than an explicit success is a failure
+    if (axResponse.stored) return { mode: 'store_response_success' };
+
+    var fields = { mode: 'store_response_failure' };
+    if (axResponse.error) fields.error = axResponse.error;
+
+    return fields;
+}
+
+function formatFetchResponse(context, axResponse) {
+    var fields = { mode: 'fetch_response' },
+        missing = [];
+
+    // Only requested attributes are sent (anything else is silently dropped). The type alias from the
+    // request is preserved. Nothing in the spec mandates this, but there are several broken RPs which
+    // expect it - notably some combination of Spring Security and OpenID4Java
+    context.attributes.forEach(function(attribute) {
+        var value = axResponse[attribute.type],
+            values = util.isArray(value) ? value : (value === undefined || value === null ? [] : [value]),
+            alias = attribute.alias;
+
+        if (values.length === 0) {
+            if (attribute.required) missing.push(attribute.type);
+            return;
+        }
+
+        // Never send more values than the Relying Party asked for. AX 1.0, section 5.2
+        if (attribute.count !== 'unlimited') values = values.slice(0, attribute.count);
+
+        fields['type.' + alias] = attribute.type;
+
+        if (attribute.count === 1) {
+            fields['value.' + alias] = values[0];
+        } else {
+            fields['count.' + alias] = values.length;
+            for (var i = 0; i < values.length; i++) {
+                fields['value.' + alias + '.' + (i + 1)] = values[i];
+            }
+        }
+    });
+
+    if (missing.length > 0) {
+        // Nothing has been sent yet, so the application can catch this and reject the authentication instead
+        var err = new Error('Required attributes missing from attribute exchange response: ' + missing.join(', '));
+        err.missing = missing;
+        throw err;
+    }
+
+    return fields;
+}
+
+function parseFetchRequest(fields) {
+    // AX 1.0, section 5.1
+    var required = splitAliases(fields.required),
+        aliases = required.concat(splitAliases(fields.if_available)),
+        seen = {},
+        attributes = [];
+
+    for (var i = 0; i < aliases.length; i++) {
+        var alias = aliases[i],
+            type = fields['type.' + alias],
+            count = fields['count.' + alias] || '1';
+
+        if (!type || seen[alias]) continue;  // Alias with no type (nothing we can do with it), or a duplicate
+
+        if (count !== 'unlimited') {
+            count = /^[0-9]+$/.test(count) ? parseInt(count, 10) : 0;
+            if (count < 1) return null;
+        }
+
+        seen[alias] = true;
+        attributes.push({
+            alias: alias,
+            type: type,
+            required: required.indexOf(alias) !== -1,
+            count: count
+        });
+    }
+
+    return attributes;
+}
+
+function splitAliases(list) {
+    return list ? list.split(',').filter(function(alias) { return alias.length > 0; }) : [];
+}
+
+function parseStoreRequest(fields) {
+    // AX 1.0, section 6.1
+    var attributes = [];
+
+    for (var field in fields) {
+        if (field.slice(0, 5) !== 'type.') continue;
+
+        var alias = field.substr(5),
+            count = parseInt(fields['count.' + alias], 10),
+            values = [];
+
+        if ('count.' + alias in fields) {
+            values = numberedValues(fields, alias, count);
+        } else if ('value.' + alias in fields) {
+            values.push(fields['value.' + alias]);
+        }
+
+        attributes.push({
+            alias: alias,
+            type: fields[field],
+            values: values
+        });
+    }
+
+    return attributes;
+}
+
+// value.<alias>.1 to value.<alias>.<count>, in order. Only the fields which are actually there are looked at,
+// as the count comes from the Relying Party
+function numberedValues(fields, alias, count) {
+    var prefix = 'value.' + alias + '.',
+        numbered = [];
+
+    for (var field in fields) {
+        if (field.slice(0, prefix.length) !== prefix) continue;
+
+        var index = field.substr(prefix.length);
+
+        if (/^[1-9][0-9]*$/.test(index) && parseInt(index, 10) <= count) {
+            numbered.push({ index: parseInt(index, 10), value: fields[field] });
+        }
+    }
+
+    return numbered.sort(function(a, b) {
+        return a.index - b.index;
+    }).map(function(entry) {
+        return entry.value;
+    });
+}
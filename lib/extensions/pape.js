@@ -0,0 +1,67 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var messageFactory = require('../messageFactory');
+
+// Provider Authentication Policy Extension 1.0
+
+var POLICY_NONE = 'http://schemas.openid.net/pape/policies/2007/06/none';
+var NIST_AUTH_LEVEL = 'http://csrc.nist.gov/publications/nistpubs/800-63/SP800-63V1_0_2.pdf';
+
+exports.name = 'pape';
+exports.ns = 'http://specs.openid.net/extensions/pape/1.0';
+
+exports.parseRequest = function(papeRequest) {
+    var maxAuthAge = parseInt(papeRequest.fields.max_auth_age, 10);
+
+    return {
+        alias: papeRequest.alias,
+        max_auth_age: isNaN(maxAuthAge) || maxAuthAge < 0 ? undefined : maxAuthAge,
+        preferred_auth_policies: splitList(papeRequest.fields.preferred_auth_policies),
+        // Level types are given as aliases which the request maps to namespaces using auth_level.ns.<alias>
+        preferred_auth_level_types: splitList(papeRequest.fields.preferred_auth_level_types).map(function(alias) {
+            return papeRequest.fields['auth_level.ns.' + alias] || alias;
+        })
+    };
+}
+
+exports.formatResponse = function(context, papeResponse) {
+    papeResponse = papeResponse || {};
+
+    var authPolicies = papeResponse.auth_policies || [],
+        authLevels = papeResponse.auth_levels || {},
+        levelAlias = 0,
+        fields = {
+            // PAPE 1.0, section 5.2 - an empty list must be sent as the "none" policy
+            auth_policies: authPolicies.length > 0 ? authPolicies.join(' ') : POLICY_NONE
+        };
+
+    if (papeResponse.auth_time) {
+        fields.auth_time = messageFactory.formatTimestamp(new Date(papeResponse.auth_time));
+    }
+
+    for (var levelType in authLevels) {
+        var customAlias = levelType === NIST_AUTH_LEVEL ? 'nist' : 'level' + (++levelAlias);
+
+        fields['auth_level.ns.' + customAlias] = levelType;
+        fields['auth_level.' + customAlias] = authLevels[levelType];
+    }
+
+    return fields;
+}
+
+function splitList(list) {
+    // PAPE 1.0, section 5.1
+    return list ? list.split(' ').filter(function(item) { return item.length > 0; }) : [];
+}
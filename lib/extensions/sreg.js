@@ -0,0 +1,56 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Simple Registration 1.1 (and 1.0, which is near enough the same)
+
+// SReg 1.1, section 4
+var FIELDS = ['nickname', 'email', 'fullname', 'dob', 'gender', 'postcode', 'country', 'language', 'timezone'];
+
+exports.name = 'sreg';
+exports.ns = 'http://openid.net/extensions/sreg/1.1';
+
+// SReg 1.0 requests may use either the 1.0 namespace or just the "sreg" alias
+exports.legacy = [{ ns: 'http://openid.net/sreg/1.0', alias: 'sreg' }];
+
+exports.parseRequest = function(sregRequest) {
+    return {
+        alias: sregRequest.alias,
+        ns: sregRequest.ns || exports.ns,
+        required: splitFields(sregRequest.fields.required),
+        optional: splitFields(sregRequest.fields.optional),
+        policy_url: sregRequest.fields.policy_url
+    };
+}
+
+exports.formatResponse = function(context, sregResponse) {
+    var fields = {};
+
+    sregResponse = sregResponse || {};
+
+    // Only requested fields are sent
+    context.required.concat(context.optional).forEach(function(field) {
+        if (field in sregResponse) fields[field] = sregResponse[field];
+    });
+
+    return fields;
+}
+
+function splitFields(list) {
+    if (!list) return [];
+
+    // Silently ignore anything which isn't a field defined by the spec
+    return list.split(',').filter(function(field) {
+        return FIELDS.indexOf(field) !== -1;
+    });
+}
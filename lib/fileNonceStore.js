@@ -0,0 +1,37 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var FileStore = require('./fileStore');
+
+// Options: directory (required), purgeIntervalSecs (default 60, 0 to disable)
+function FileNonceStore(options) {
+    if (!(this instanceof FileNonceStore)) {
+        return new FileNonceStore(options);
+    }
+
+    var store = new FileStore(options);
+
+    this.put = function(nonce, next) {
+        store.put(nonce.id, nonce, next);
+    }
+
+    this.getAndDelete = function(id, next) {
+        store.getAndDelete(id, next);
+    }
+
+    this.purge = store.purge;
+    this.close = store.close;
+}
+
+exports = module.exports = FileNonceStore;
@@ -0,0 +1,168 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto');
+
+var TEMP_FILE_MAX_AGE_MS = 60 * 1000;
+
+// One JSON file per entry. Every change is made with a rename, which is atomic, so several processes
+// on the same host can safely share a directory. Entries must have an 'expiry' (ms since the epoch).
+function FileStore(options) {
+    if (!(this instanceof FileStore)) {
+        return new FileStore(options);
+    }
+
+    if (typeof options === 'string') options = { directory: options };
+
+    var directory = options.directory;
+    var purgeIntervalSecs = 'purgeIntervalSecs' in options ? options.purgeIntervalSecs : 60;
+    var directoryCreated = false;
+    var timer;
+
+    if (!directory) throw new Error('A directory is required');
+
+    if (purgeIntervalSecs > 0) {
+        timer = setInterval(function() {
+            purge(function() {});  // Nobody to report errors to. The next purge will try again
+        }, purgeIntervalSecs * 1000);
+        if (timer.unref) timer.unref();
+    }
+
+    this.put = function(key, entry, next) {
+        ensureDirectory(function(err) {
+            if (err) return next(err);
+
+            var file = fileFor(key),
+                temp = tempFileFor(file);
+
+            fs.writeFile(temp, JSON.stringify(entry), { mode: parseInt('600', 8) }, function(err) {
+                if (err) return next(err);
+
+                fs.rename(temp, file, function(err) {
+                    if (err) fs.unlink(temp, function() {});
+                    next(err);
+                });
+            });
+        });
+    }
+
+    this.get = function(key, next) {
+        read(fileFor(key), next);
+    }
+
+    this.delete = function(key, next) {
+        fs.unlink(fileFor(key), function(err) {
+            next(err && err.code !== 'ENOENT' ? err : null);
+        });
+    }
+
+    this.getAndDelete = function(key, next) {
+        var file = fileFor(key),
+            claimed = claimedFileFor(file);
+
+        // Only one process can successfully rename the file; everyone else sees ENOENT
+        fs.rename(file, claimed, function(err) {
+            if (err) return next(err.code === 'ENOENT' ? null : err);
+
+            read(claimed, function(err, entry) {
+                fs.unlink(claimed, function() {
+                    next(err, entry);
+                });
+            });
+        });
+    }
+
+    this.purge = purge;
+
+    this.close = function() {
+        if (timer) clearInterval(timer);
+        timer = undefined;
+    }
+
+    function purge(next) {
+        fs.readdir(directory, function(err, files) {
+            if (err) return next(err.code === 'ENOENT' ? null : err);
+
+            var remaining = files.length,
+                now = Date.now();
+
+            if (remaining === 0) return next(null);
+
+            files.forEach(function(name) {
+                var file = path.join(directory, name);
+
+                if (/\.tmp$/.test(name)) {
+                    // Left behind by a process which died part way through a write
+                    fs.stat(file, function(err, stats) {
+                        if (!err && now - stats.mtime.getTime() > TEMP_FILE_MAX_AGE_MS) return fs.unlink(file, done);
+                        done();
+                    });
+                } else if (/\.json$/.test(name) || /\.claimed$/.test(name)) {
+                    // Claimed files keep the time they were written, so only their expiry says they've been
+                    // left behind (by a process which died part way through getAndDelete)
+                    read(file, function(err, entry) {
+                        if (!err && entry && entry.expiry < now) return fs.unlink(file, done);
+                        done();
+                    });
+                } else {
+                    done();
+                }
+            });
+
+            function done() {
+                if (--remaining === 0) next(null);
+            }
+        });
+    }
+
+    function read(file, next) {
+        fs.readFile(file, 'utf8', function(err, data) {
+            if (err) return next(err.code === 'ENOENT' ? null : err);
+
+            try {
+                next(null, JSON.parse(data));
+            } catch (e) {
+                next(e);
+            }
+        });
+    }
+
+    function ensureDirectory(next) {
+        if (directoryCreated) return next(null);
+
+        fs.mkdir(directory, parseInt('700', 8), function(err) {
+            if (err && err.code !== 'EEXIST') return next(err);
+
+            directoryCreated = true;
+            next(null);
+        });
+    }
+
+    function fileFor(key) {
+        // Keys (association handles in particular) aren't safe to use as file names
+        return path.join(directory, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+    }
+
+    function claimedFileFor(file) {
+        return file + '.' + process.pid + '.' + crypto.randomBytes(8).toString('hex') + '.claimed';
+    }
+
+    function tempFileFor(file) {
+        return file + '.' + process.pid + '.' + crypto.randomBytes(8).toString('hex') + '.tmp';
+    }
+}
+
+exports = module.exports = FileStore;
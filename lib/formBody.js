@@ -0,0 +1,109 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Reads application/x-www-form-urlencoded request bodies, for when no body parser has been used
+var querystring = require('querystring');
+
+var FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+// OpenID messages are UTF-8 (4.1.3), but browsers posting forms from ISO-8859-1 pages say so. Anything else
+// is refused rather than mis-read
+var CHARSETS = {
+    'utf-8': 'utf8',
+    'utf8': 'utf8',
+    'us-ascii': 'latin1',
+    'iso-8859-1': 'latin1',
+    'latin1': 'latin1'
+};
+
+// Options: maxBytes (default 100kB) and maxFields (default 1000). Repeated keys give arrays of values, like
+// querystring.parse() (and Express). Errors have an HTTP status (413 or 415)
+exports.read = function(req, options, next) {
+    var contentType = parseContentType(req.headers['content-type']),
+        maxBytes = options.maxBytes || 100 * 1024,
+        maxFields = options.maxFields || 1000;
+
+    if (!exports.isForm(req)) return next(null, {});
+
+    var encoding = CHARSETS[contentType.charset || 'utf-8'];
+
+    if (!encoding) return next(httpError(415, 'Unsupported charset: ' + contentType.charset));
+
+    // Don't bother reading something which is admitted to be too big
+    if (+req.headers['content-length'] > maxBytes) return next(httpError(413, 'Request body too large'));
+
+    var chunks = [],
+        length = 0,
+        finished = false;
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', done);
+
+    function onData(chunk) {
+        length += chunk.length;
+
+        if (length > maxBytes) {
+            // Stop buffering, but let the rest arrive so the response can still be sent
+            req.removeListener('data', onData);
+            req.resume();
+            return done(httpError(413, 'Request body too large'));
+        }
+
+        chunks.push(chunk);
+    }
+
+    function onEnd() {
+        var body = Buffer.concat(chunks).toString('latin1');  // Only ASCII, if properly encoded
+
+        if (body.length > 0 && body.split('&').length > maxFields) return done(httpError(413, 'Too many fields in request body'));
+
+        done(null, querystring.parse(body, '&', '=', {
+            maxKeys: 0,  // Already checked
+            decodeURIComponent: function(value) {
+                return querystring.unescapeBuffer(value).toString(encoding);
+            }
+        }));
+    }
+
+    function done(err, body) {
+        if (finished) return;
+        finished = true;
+        next(err, body);
+    }
+}
+
+// Whether read() would consume the request stream
+exports.isForm = function(req) {
+    return req.method === 'POST' && parseContentType(req.headers['content-type']).type === FORM_CONTENT_TYPE;
+}
+
+function parseContentType(header) {
+    var parts = (header || '').split(';'),
+        result = { type: parts.shift().trim().toLowerCase() };
+
+    parts.forEach(function(part) {
+        var match = /^\s*charset\s*=\s*"?([^";\s]+)"?\s*$/i.exec(part);
+        if (match) result.charset = match[1].toLowerCase();
+    });
+
+    return result;
+}
+
+function httpError(status, message) {
+    var err = new Error(message);
+    err.status = status;
+    err.expose = true;  // Koa sends the message
+    return err;
+}
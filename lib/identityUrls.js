@@ -0,0 +1,69 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var PLACEHOLDER = '{identity}';
+
+// Maps between identities (user names, as far as Skylith is concerned) and their identity URLs. 'scheme' is
+// either a template such as 'https://id.example.com/users/{identity}' or an object with a pair of functions:
+// toUrl(identity) and fromUrl(url), the latter returning null for URLs which aren't identities.
+exports.create = function(scheme) {
+    if (typeof scheme === 'string') return fromTemplate(scheme);
+
+    if (!scheme || typeof scheme.toUrl !== 'function' || typeof scheme.fromUrl !== 'function') {
+        throw new Error('identityUrl must be a template or an object with toUrl and fromUrl functions');
+    }
+
+    return {
+        toUrl: scheme.toUrl,
+        fromUrl: function(identityUrl) {
+            var identity = scheme.fromUrl(identityUrl);
+            return identity === undefined || identity === '' ? null : identity;
+        }
+    };
+}
+
+function fromTemplate(template) {
+    var index = template.indexOf(PLACEHOLDER);
+
+    if (index === -1 || template.indexOf(PLACEHOLDER, index + 1) !== -1) {
+        throw new Error('identityUrl template must contain ' + PLACEHOLDER + ' exactly once: ' + template);
+    }
+
+    var prefix = template.slice(0, index),
+        suffix = template.slice(index + PLACEHOLDER.length),
+        inQuery = prefix.indexOf('?') !== -1;
+
+    return {
+        toUrl: function(identity) {
+            return prefix + encodeURIComponent(identity) + suffix;
+        },
+
+        fromUrl: function(identityUrl) {
+            if (identityUrl.length <= prefix.length + suffix.length) return null;
+            if (identityUrl.slice(0, prefix.length) !== prefix) return null;
+            if (identityUrl.slice(identityUrl.length - suffix.length) !== suffix) return null;
+
+            var encoded = identityUrl.slice(prefix.length, identityUrl.length - suffix.length);
+
+            // Anything which would have been encoded means it's a different URL (another path segment, more parameters...)
+            if (/[\/?#&]/.test(encoded)) return null;
+
+            try {
+                return decodeURIComponent(inQuery ? encoded.replace(/\+/g, ' ') : encoded);
+            } catch (e) {
+                return null;
+            }
+        }
+    };
+}
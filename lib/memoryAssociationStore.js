@@ -12,28 +12,52 @@
 //    See the License for the specific language governing permissions and
 //    limitations under the License.
 
-// TODO: periodically clean up expired associations
+var MemoryStore = require('./memoryStore');
 
-function MemoryAssociationStore() {
+// Shared associations are made for anybody who asks, so when full it refuses new ones (with a 503) and the
+// Relying Party carries on without one. Private associations, which logins under way need for
+// check_authentication, are kept apart so that shared ones can't push them out
+// Options: maxEntries (default 10000, for each kind), sweepIntervalSecs (default 60, 0 to disable)
+function MemoryAssociationStore(options) {
     if (!(this instanceof MemoryAssociationStore)) {
-        return new MemoryAssociationStore();
+        return new MemoryAssociationStore(options);
     }
 
-    var associations = {};
+    var sharedOptions = { evictWhenFull: false };
+
+    for (var key in options) {
+        if (key !== 'evictWhenFull') sharedOptions[key] = options[key];
+    }
+
+    var sharedAssociations = new MemoryStore(sharedOptions);
+    var privateAssociations = new MemoryStore(options);
 
     this.put = function(association, next) {
-        associations[association.handle] = association;
+        if (association.private) {
+            privateAssociations.put(association.handle, association);
+        } else if (!sharedAssociations.put(association.handle, association)) {
+            var err = new Error('Too many associations');
+            err.status = 503;
+            return next(err);
+        }
+
         next(null);
     }
 
     this.get = function(handle, next) {
-        next(null, associations[handle]);
+        next(null, sharedAssociations.get(handle) || privateAssociations.get(handle));
     }
 
     this.delete = function(handle, next) {
-        delete associations[handle];
+        sharedAssociations.delete(handle);
+        privateAssociations.delete(handle);
         next(null);
     }
+
+    this.close = function() {
+        sharedAssociations.close();
+        privateAssociations.close();
+    }
 }
 
 exports = module.exports = MemoryAssociationStore;
@@ -0,0 +1,43 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var MemoryStore = require('./memoryStore');
+
+// Options: maxEntries (default 10000), sweepIntervalSecs (default 60, 0 to disable). When full, the least
+// recently used consent is forgotten - users are asked again, which is safe but may be annoying
+function MemoryConsentStore(options) {
+    if (!(this instanceof MemoryConsentStore)) {
+        return new MemoryConsentStore(options);
+    }
+
+    var consents = new MemoryStore(options);
+
+    this.put = function(consent, next) {
+        consents.put(consent.key, consent);
+        next(null);
+    }
+
+    this.get = function(key, next) {
+        next(null, consents.get(key));
+    }
+
+    this.delete = function(key, next) {
+        consents.delete(key);
+        next(null);
+    }
+
+    this.close = consents.close;
+}
+
+exports = module.exports = MemoryConsentStore;
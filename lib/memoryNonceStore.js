@@ -12,25 +12,28 @@
 //    See the License for the specific language governing permissions and
 //    limitations under the License.
 
-// TODO: periodically clean up expired nonces
+var MemoryStore = require('./memoryStore');
 
-function MemoryNonceStore() {
+// Options: maxEntries (default 10000), sweepIntervalSecs (default 60, 0 to disable)
+function MemoryNonceStore(options) {
     if (!(this instanceof MemoryNonceStore)) {
-        return new MemoryNonceStore();
+        return new MemoryNonceStore(options);
     }
 
-    var nonces = {};
+    var nonces = new MemoryStore(options);
 
     this.put = function(nonce, next) {
-        nonces[nonce.id] = nonce;
+        nonces.put(nonce.id, nonce);
         next(null);
     }
 
     this.getAndDelete = function(id, next) {
-        var nonce = nonces[id];
-        delete nonces[id];
+        var nonce = nonces.get(id);
+        nonces.delete(id);
         next(null, nonce);
     }
+
+    this.close = nonces.close;
 }
 
 exports = module.exports = MemoryNonceStore;
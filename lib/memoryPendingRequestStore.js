@@ -0,0 +1,53 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var MemoryStore = require('./memoryStore');
+
+// Checkid requests waiting for the application to call completeAuth or rejectAuth. Keyed by their handles.
+// Anybody can add one, so when full it refuses new requests (with a 503) rather than dropping logins which
+// are under way
+// Options: maxEntries (default 10000), sweepIntervalSecs (default 60, 0 to disable)
+function MemoryPendingRequestStore(options) {
+    if (!(this instanceof MemoryPendingRequestStore)) {
+        return new MemoryPendingRequestStore(options);
+    }
+
+    var storeOptions = { evictWhenFull: false };
+
+    for (var key in options) {
+        if (key !== 'evictWhenFull') storeOptions[key] = options[key];
+    }
+
+    var pendingRequests = new MemoryStore(storeOptions);
+
+    this.put = function(pendingRequest, next) {
+        if (!pendingRequests.put(pendingRequest.handle, pendingRequest)) {
+            var err = new Error('Too many pending requests');
+            err.status = 503;
+            return next(err);
+        }
+
+        next(null);
+    }
+
+    this.getAndDelete = function(handle, next) {
+        var pendingRequest = pendingRequests.get(handle);
+        pendingRequests.delete(handle);
+        next(null, pendingRequest);
+    }
+
+    this.close = pendingRequests.close;
+}
+
+exports = module.exports = MemoryPendingRequestStore;
@@ -0,0 +1,121 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// A bounded, expiring key/value store. Entries must have an 'expiry' (ms since the epoch). When full,
+// the least recently used entry is evicted - or, with evictWhenFull false, put() refuses new entries and
+// returns false. Synchronous - the memory stores wrap it in callbacks.
+function MemoryStore(options) {
+    if (!(this instanceof MemoryStore)) {
+        return new MemoryStore(options);
+    }
+
+    options = options || {};
+
+    var maxEntries = options.maxEntries || 10000;
+    var evictWhenFull = 'evictWhenFull' in options ? options.evictWhenFull : true;
+    var sweepIntervalSecs = 'sweepIntervalSecs' in options ? options.sweepIntervalSecs : 60;
+    var nodes = {};
+    var size = 0;
+    var timer;
+
+    // Doubly linked list in recency order; head is the least recently used
+    var head = null;
+    var tail = null;
+
+    if (sweepIntervalSecs > 0) {
+        timer = setInterval(sweep, sweepIntervalSecs * 1000);
+        if (timer.unref) timer.unref();
+    }
+
+    this.put = put;
+
+    this.get = function(key) {
+        var node = nodes['#' + key];
+
+        if (!node) return undefined;
+
+        if (node.value.expiry < Date.now()) {
+            remove(key);
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        put(key, node.value);
+
+        return node.value;
+    }
+
+    this.delete = remove;
+
+    this.sweep = sweep;
+
+    this.size = function() {
+        return size;
+    }
+
+    this.close = function() {
+        if (timer) clearInterval(timer);
+        timer = undefined;
+    }
+
+    function put(key, value) {
+        remove(key);
+
+        if (!evictWhenFull && size >= maxEntries) {
+            // Entries usually expire in the order they were added, so there's no need for a full sweep
+            var now = Date.now();
+            while (head && head.value.expiry < now) remove(head.key);
+
+            if (size >= maxEntries) return false;
+        }
+
+        var node = { key: key, value: value, prev: tail, next: null };
+
+        if (tail) tail.next = node;
+        tail = node;
+        if (!head) head = node;
+
+        nodes['#' + key] = node;  // Prefixed to avoid clashing with Object.prototype
+        size++;
+
+        while (size > maxEntries) remove(head.key);
+
+        return true;
+    }
+
+    function sweep() {
+        var now = Date.now(),
+            node = head;
+
+        while (node) {
+            var next = node.next;
+            if (node.value.expiry < now) remove(node.key);
+            node = next;
+        }
+    }
+
+    function remove(key) {
+        var node = nodes['#' + key];
+
+        if (!node) return;
+
+        if (node.prev) node.prev.next = node.next; else head = node.next;
+        if (node.next) node.next.prev = node.prev; else tail = node.prev;
+
+        delete nodes['#' + key];
+        size--;
+    }
+}
+
+exports = module.exports = MemoryStore;
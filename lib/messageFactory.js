@@ -14,14 +14,12 @@
 
 var url = require('url');
 
-var OPENID_NS = 'http://specs.openid.net/auth/2.0';  // TODO duplicated
-
-exports.fromBody = function(req) {
-    return parse(req.body);   // TODO assumes express.urlencoded middleware is in place
+exports.fromBody = function(body) {
+    return parse(body);
 }
 
-exports.fromQueryArgs = function(req) {
-    var query = url.parse(req.url, true).query;
+exports.fromQueryArgs = function(requestUrl) {
+    var query = url.parse(requestUrl, true).query;
 
     return parse(query);
 }
@@ -36,8 +34,6 @@ exports.toForm = function(obj, fields) {
         fields: []
     }
 
-    obj.ns = OPENID_NS;  // 5.1.2
-
     if (fields) {
         for (var i = 0; i < fields.length; i++) {
             var field = fields[i];
@@ -54,7 +50,12 @@ exports.toForm = function(obj, fields) {
     return result;
 }
 
-exports.getExtension = function(obj, extensionNamespace) {
+exports.formatTimestamp = function(date) {
+    // 10.1 - UTC, no fractional seconds. Also used by extensions (e.g. PAPE auth_time)
+    return date.toISOString().slice(0, -5) + 'Z';
+}
+
+exports.getExtension = function(obj, extensionNamespace, defaultAlias) {
     for (var field in obj) {
         if (field.slice(0, 3) === 'ns.' && obj[field] === extensionNamespace) {
             var namespaceAlias = field.substr(3);
@@ -62,6 +63,13 @@ exports.getExtension = function(obj, extensionNamespace) {
         }
     }
 
+    // Some extensions pre-date namespace declarations (e.g. SReg 1.0) and are identified by a well-known
+    // alias instead. Only use it if the alias hasn't been declared for something else.
+    if (defaultAlias && !(('ns.' + defaultAlias) in obj)) {
+        var result = parseExtension(obj, defaultAlias);
+        if (Object.keys(result.fields).length > 0) return result;
+    }
+
     return null;
 }
 
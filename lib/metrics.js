@@ -0,0 +1,140 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Just enough of a metrics library to count things, time things and render them in the Prometheus text
+// exposition format (version 0.0.4)
+
+var DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function Registry() {
+    if (!(this instanceof Registry)) {
+        return new Registry();
+    }
+
+    var metrics = [];
+
+    this.counter = function(name, help, labelNames) {
+        return register(new Metric('counter', name, help, labelNames));
+    }
+
+    this.histogram = function(name, help, labelNames, buckets) {
+        return register(new Metric('histogram', name, help, labelNames, buckets || DEFAULT_BUCKETS));
+    }
+
+    this.render = function() {
+        return metrics.map(function(metric) {
+            return metric.render();
+        }).join('');
+    }
+
+    function register(metric) {
+        metrics.push(metric);
+        return metric;
+    }
+}
+
+function Metric(type, name, help, labelNames, buckets) {
+    var series = {};
+
+    labelNames = labelNames || [];
+
+    // Counters only
+    this.inc = function(labels, value) {
+        var s = getSeries(labels);
+        s.value += value === undefined ? 1 : value;
+    }
+
+    // Histograms only. Values are in seconds
+    this.observe = function(labels, value) {
+        var s = getSeries(labels);
+
+        for (var i = 0; i < buckets.length; i++) {
+            if (value <= buckets[i]) s.buckets[i]++;
+        }
+        s.count++;
+        s.sum += value;
+    }
+
+    // Histograms only. Returns a function to call when whatever is being timed has finished
+    this.startTimer = function(labels) {
+        var self = this,
+            start = process.hrtime();
+
+        return function() {
+            var elapsed = process.hrtime(start);
+            self.observe(labels, elapsed[0] + elapsed[1] / 1e9);
+        }
+    }
+
+    this.render = function() {
+        var lines = ['# HELP ' + name + ' ' + help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'), '# TYPE ' + name + ' ' + type];
+
+        Object.keys(series).sort().forEach(function(key) {
+            var s = series[key];
+
+            if (type === 'counter') {
+                lines.push(name + formatLabels(s.labels) + ' ' + s.value);
+            } else {
+                buckets.forEach(function(bucket, i) {
+                    lines.push(name + '_bucket' + formatLabels(s.labels, { le: String(bucket) }) + ' ' + s.buckets[i]);
+                });
+                lines.push(name + '_bucket' + formatLabels(s.labels, { le: '+Inf' }) + ' ' + s.count);
+                lines.push(name + '_sum' + formatLabels(s.labels) + ' ' + s.sum);
+                lines.push(name + '_count' + formatLabels(s.labels) + ' ' + s.count);
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    function getSeries(labels) {
+        labels = labels || {};
+
+        var values = labelNames.map(function(labelName) {
+                return labels[labelName] === undefined ? '' : String(labels[labelName]);
+            }),
+            key = JSON.stringify(values);
+
+        if (!series[key]) {
+            var seriesLabels = {};
+            labelNames.forEach(function(labelName, i) {
+                seriesLabels[labelName] = values[i];
+            });
+
+            series[key] = {
+                labels: seriesLabels,
+                value: 0,
+                buckets: buckets ? buckets.map(function() { return 0; }) : undefined,
+                count: 0,
+                sum: 0
+            };
+        }
+
+        return series[key];
+    }
+
+    function formatLabels(labels, extra) {
+        var pairs = [];
+
+        [labels, extra || {}].forEach(function(set) {
+            for (var labelName in set) {
+                pairs.push(labelName + '="' + set[labelName].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"');
+            }
+        });
+
+        return pairs.length > 0 ? '{' + pairs.join(',') + '}' : '';
+    }
+}
+
+exports = module.exports = Registry;
@@ -0,0 +1,120 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var crypto = require('crypto');
+
+// Marks stateless handles which haven't been used yet, apart from whole requests
+var MARKER_PREFIX = 'pending-';
+
+// Checkid requests which are waiting for the application. Each gets an opaque handle which can be used once,
+// before it expires. Either the request is kept in a store (put and getAndDelete, keyed by handle) or, if a
+// secret is given, the handle is the request itself - encrypted and authenticated with AES-256-GCM - and only
+// a marker saying it hasn't been used yet goes in the store
+// Options: store, secret, expirySecs
+function PendingRequests(options) {
+    if (!(this instanceof PendingRequests)) {
+        return new PendingRequests(options);
+    }
+
+    var store = options.store;
+    var key = options.secret ? crypto.createHash('sha256').update(options.secret).digest() : null;
+    var expirySecs = options.expirySecs;
+
+    this.add = function(context, next) {
+        var pending = {
+            id: crypto.randomBytes(16).toString('hex'),
+            expiry: Date.now() + (expirySecs * 1000),
+            context: JSON.parse(JSON.stringify(context))  // Whatever the application does to its own copy
+        };
+
+        if (!key) {
+            pending.handle = pending.id;
+            return store.put(pending, function(err) {
+                next(err, pending.handle);
+            });
+        }
+
+        store.put(markerFor(pending), function(err) {
+            next(err, seal(pending));
+        });
+    }
+
+    // Gets the pending request and forgets it, so it can't be used again. Unknown, expired and used handles
+    // give nothing
+    this.take = function(handle, next) {
+        if (typeof handle !== 'string') return next(null, null);
+
+        if (!key) {
+            return store.getAndDelete(handle, function(err, pending) {
+                if (err) return next(err);
+
+                next(null, pending && pending.expiry >= Date.now() ? pending : null);
+            });
+        }
+
+        var pending = unseal(handle);
+
+        if (!pending || pending.expiry < Date.now()) return next(null, null);
+
+        store.getAndDelete(MARKER_PREFIX + pending.id, function(err, marker) {
+            if (err) return next(err);
+
+            pending.handle = handle;
+            next(null, marker ? pending : null);
+        });
+    }
+
+    // For when the application can still do something else with the request (e.g. reject it)
+    this.restore = function(pending, next) {
+        if (!key) return store.put(pending, next);
+
+        store.put(markerFor(pending), next);
+    }
+
+    function markerFor(pending) {
+        return { handle: MARKER_PREFIX + pending.id, expiry: pending.expiry };
+    }
+
+    function seal(pending) {
+        var iv = crypto.randomBytes(12),
+            cipher = crypto.createCipheriv('aes-256-gcm', key, iv),
+            payload = JSON.stringify({ id: pending.id, expiry: pending.expiry, context: pending.context }),
+            ciphertext = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+
+        return base64url(Buffer.concat([iv, cipher.getAuthTag(), ciphertext]));
+    }
+
+    function unseal(token) {
+        var sealed = Buffer.from(token.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+        if (sealed.length < 29) return null;
+
+        try {
+            var decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.slice(0, 12));
+
+            decipher.setAuthTag(sealed.slice(12, 28));
+
+            return JSON.parse(Buffer.concat([decipher.update(sealed.slice(28)), decipher.final()]).toString('utf8'));
+        } catch (e) {
+            return null;  // Tampered with, or sealed with a different secret
+        }
+    }
+}
+
+function base64url(buffer) {
+    // Handles end up in URLs and form fields
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+exports = module.exports = PendingRequests;
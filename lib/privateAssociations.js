@@ -0,0 +1,127 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var crypto = require('crypto');
+
+// Marks handles made here. Handles in the store are base64, so never contain a '.'
+var HANDLE_PREFIX = 'sk1.';
+
+var SECRET_LENGTHS = {
+    sha1: 20,
+    sha256: 32
+};
+
+// Private associations which are never stored. The handle says which master key it was made with, when it
+// expires and which algorithm it uses, and the secret is derived from the handle with the master key. Any
+// process with the same keys can check signatures made with it - the association store isn't needed.
+// keys is a list of { id, secret, expiry (optional - ms since the epoch, or a Date) }. The first key is used
+// for new associations; the rest are only used to check signatures, until they expire. Key ids are made of
+// letters, digits, '-' and '_'. Options: keys, graceSecs (how long rotate() keeps the previous key)
+function PrivateAssociations(options) {
+    if (!(this instanceof PrivateAssociations)) {
+        return new PrivateAssociations(options);
+    }
+
+    var keys = [];
+    var graceSecs = options.graceSecs;
+
+    [].concat(options.keys).forEach(function(key) {
+        addKey(key, false);
+    });
+    if (keys.length === 0) throw new Error('At least one private association key is required');
+
+    this.isHandle = function(handle) {
+        return typeof handle === 'string' && handle.slice(0, HANDLE_PREFIX.length) === HANDLE_PREFIX;
+    }
+
+    this.create = function(algorithm, expirySecs) {
+        var key = keys[0],
+            handle = [
+                HANDLE_PREFIX + key.id,
+                Date.now() + (expirySecs * 1000),
+                algorithm,
+                crypto.randomBytes(16).toString('hex')
+            ].join('.');
+
+        return associationFor(handle, key);
+    }
+
+    // The association for a handle made here, or null if it's malformed or its key is unknown or has expired.
+    // The association itself may have expired
+    this.find = function(handle) {
+        var parts = handle.slice(HANDLE_PREFIX.length).split('.');
+
+        if (parts.length !== 4 || !/^[0-9]+$/.test(parts[1]) || !SECRET_LENGTHS.hasOwnProperty(parts[2])) return null;
+
+        var key = findKey(parts[0]);
+
+        return key ? associationFor(handle, key) : null;
+    }
+
+    // Start making associations with a new key. The previous one is still used to check signatures for
+    // graceSecs, which should be at least as long as associations last
+    this.rotate = function(key) {
+        var previous = keys[0];
+
+        if (!previous.expiry || previous.expiry > Date.now() + (graceSecs * 1000)) {
+            previous.expiry = Date.now() + (graceSecs * 1000);
+        }
+
+        addKey(key, true);
+    }
+
+    function addKey(key, current) {
+        if (!key || !key.id || !key.secret) throw new Error('Private association keys need an id and a secret');
+        if (!/^[A-Za-z0-9_-]+$/.test(key.id)) throw new Error('Invalid private association key id: ' + key.id);
+        if (findKey(key.id)) throw new Error('Duplicate private association key id: ' + key.id);
+
+        var entry = {
+            id: key.id,
+            secret: key.secret,
+            expiry: key.expiry instanceof Date ? key.expiry.getTime() : key.expiry
+        };
+
+        if (current) keys.unshift(entry); else keys.push(entry);
+    }
+
+    function findKey(id) {
+        // Keys which have expired are forgotten. The current key never expires
+        keys = keys.filter(function(key, i) {
+            return i === 0 || !key.expiry || key.expiry >= Date.now();
+        });
+
+        for (var i = 0; i < keys.length; i++) {
+            if (keys[i].id === id) return keys[i];
+        }
+
+        return null;
+    }
+
+    function associationFor(handle, key) {
+        var parts = handle.slice(HANDLE_PREFIX.length).split('.'),
+            algorithm = parts[2],
+            secret = crypto.createHmac('sha256', key.secret).update(handle).digest().slice(0, SECRET_LENGTHS[algorithm]);
+
+        // The same shape as the associations in the store
+        return {
+            handle: handle,
+            algorithm: algorithm,
+            secret: secret.toString('base64'),
+            expiry: parseInt(parts[1], 10),
+            private: true
+        };
+    }
+}
+
+exports = module.exports = PrivateAssociations;
@@ -0,0 +1,66 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Skylith is callback based inside, but stores and applications may use promises instead
+
+// Call fn with a callback on the end of args. If it returns a promise (or anything with a 'then') instead,
+// the callback is called when it settles. Either way, next is only called once
+exports.invoke = function(fn, thisArg, args, next) {
+    var called = false;
+
+    function done(err, result) {
+        if (called) return;
+        called = true;
+        next(err, result);
+    }
+
+    var returned;
+
+    try {
+        returned = fn.apply(thisArg, args.concat([done]));
+    } catch (e) {
+        // Once fn has called back, the exception came from next, so it belongs to whoever called invoke
+        if (called) throw e;
+        return done(e);
+    }
+
+    if (returned && typeof returned.then === 'function') {
+        returned.then(function(result) {
+            settled(null, result);
+        }, function(err) {
+            settled(err || new Error('Promise rejected without a reason'));
+        });
+    }
+
+    // Outside the promise chain, so that an exception thrown by next isn't lost as a rejection
+    function settled(err, result) {
+        setImmediate(function() {
+            done(err, result);
+        });
+    }
+}
+
+// For functions which take an optional callback: with one, start is called with it. Without, a promise is
+// returned instead
+exports.callbackOrPromise = function(next, start) {
+    if (typeof next === 'function') return start(next);
+
+    return new Promise(function(resolve, reject) {
+        start(function(err, result) {
+            if (err) return reject(err);
+
+            resolve(result);
+        });
+    });
+}
@@ -0,0 +1,82 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var url = require('url'),
+    bundledList = require('./publicSuffixList');
+
+// The Public Suffix List algorithm (https://publicsuffix.org/list/). list is the text of a list, in the same
+// format as the one published there. Without one, the copy in publicSuffixList.js is used
+function PublicSuffixes(list) {
+    if (!(this instanceof PublicSuffixes)) {
+        return new PublicSuffixes(list);
+    }
+
+    var rules = {},
+        exceptions = {};
+
+    (list || bundledList).split('\n').forEach(function(line) {
+        var rule = line.trim().split(/\s/)[0].toLowerCase();
+
+        if (!rule || rule.slice(0, 2) === '//') return;
+
+        rule = toAscii(rule);
+
+        // Prefixed to avoid clashing with Object.prototype
+        if (rule.charAt(0) === '!') {
+            exceptions['#' + rule.slice(1)] = true;
+        } else {
+            rules['#' + rule] = true;
+        }
+    });
+
+    // The longest matching rule wins, except that exceptions beat everything. If nothing matches, the last
+    // label on its own is the public suffix
+    this.publicSuffixOf = publicSuffixOf;
+
+    this.isPublicSuffix = function(host) {
+        return publicSuffixOf(host) === normalise(host);
+    }
+
+    function publicSuffixOf(host) {
+        var labels = normalise(host).split('.');
+
+        for (var i = 0; i < labels.length; i++) {
+            var candidate = labels.slice(i).join('.'),
+                parent = labels.slice(i + 1).join('.');
+
+            if (exceptions['#' + candidate]) return parent;
+            if (rules['#' + candidate] || (parent && rules['#*.' + parent])) return candidate;
+        }
+
+        return labels[labels.length - 1];
+    }
+}
+
+// The list has internationalised names in Unicode, but hosts in URLs are in Punycode. Label by label, so that
+// wildcards and exception marks survive
+function toAscii(rule) {
+    if (/^[\x00-\x7f]*$/.test(rule)) return rule;
+
+    var exception = rule.charAt(0) === '!' ? '!' : '';
+
+    return exception + rule.slice(exception.length).split('.').map(function(label) {
+        return /^[\x00-\x7f]*$/.test(label) ? label : url.domainToASCII(label);
+    }).join('.');
+}
+
+function normalise(host) {
+    return host.toLowerCase().replace(/\.$/, '');
+}
+
+exports = module.exports = PublicSuffixes;
@@ -0,0 +1,69 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var validUrl = require('valid-url'),
+    uri = require('uri-js');
+
+// Validate realm. 9.2
+exports.parse = function(realm) {
+    var wildcard = false;
+
+    var parsedRealm = uri.parse(realm);  // Use a third-party parser instead of the node URL module to get wildcard support
+
+    if (parsedRealm.errors.length > 0 || !parsedRealm.host) return { error: 'Invalid realm' };
+
+    if (parsedRealm.fragment) return { error: 'Realm cannot contain a fragment' };
+
+    if (parsedRealm.host.slice(0, 2) === '*.') {
+        // replace the wildcard realm with a non-wildcard
+        parsedRealm.host = parsedRealm.host.slice(2);
+        wildcard = true;
+    }
+
+    parsedRealm = uri.normalize(parsedRealm);
+
+    // Now revalidate with something that specifically understands HTTP and HTTPS URLs (instead of general URIs)
+    if (!validUrl.isWebUri(uri.serialize(parsedRealm))) return { error: 'Invalid realm' };
+
+    return {
+        scheme: parsedRealm.scheme,
+        host: parsedRealm.host.toLowerCase(),
+        port: parsedRealm.port,
+        path: parsedRealm.path || '/',
+        wildcard: wildcard
+    };
+}
+
+// Does the URL fall within the (parsed) realm? 9.2
+exports.matches = function(realm, returnTo) {
+    var parsedReturnTo = uri.normalize(uri.parse(returnTo));
+
+    if (parsedReturnTo.errors.length > 0 || !parsedReturnTo.host) return false;
+
+    var host = parsedReturnTo.host.toLowerCase(),
+        path = parsedReturnTo.path || '/';
+
+    // The schemes and ports must be equal
+    if (realm.scheme !== parsedReturnTo.scheme || realm.port !== parsedReturnTo.port) return false;
+
+    // The paths must be equal or else the return_to path must be a "sub-directory" of the realm path
+    if (!(realm.path === path ||
+          path.indexOf(realm.path.slice(-1) === '/' ? realm.path : realm.path + '/') === 0)) {
+        return false;
+    }
+
+    // Hostnames match or the return_to hostname must END with '.'+realm hostname IFF realm was wildcarded
+    return realm.host === host ||
+           (realm.wildcard && host.substr(host.length - realm.host.length - 1) === '.' + realm.host);
+}
@@ -0,0 +1,95 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var PublicSuffixes = require('./publicSuffixes'),
+    promises = require('./promises');
+
+// Which Relying Parties are served, decided from their realm (or return_to, if there's no realm).
+// Options:
+// * allow - if given, only realms which match one of these patterns are accepted
+// * deny - realms which match any of these patterns are refused, even if allowed
+// * httpsOnly - refuse realms which aren't HTTPS
+// * publicSuffixList - the text of the Public Suffix List, instead of the copy bundled with Skylith
+// * check(realm, request, next) - called last, for anything else. Takes a callback or returns a promise. Gives
+//   nothing to accept the realm, or a reason to refuse it - a message, or { error, contact, reference } (5.2.3)
+// Patterns are host names ('example.com'), host names with a wildcard ('*.example.com' - which also matches
+// example.com itself) or regular expressions, which are tested against the whole realm.
+// Wildcard realms which cover a public suffix (e.g. http://*.co.uk/) are always refused
+function RealmPolicy(options) {
+    if (!(this instanceof RealmPolicy)) {
+        return new RealmPolicy(options);
+    }
+
+    options = options || {};
+
+    var allow = options.allow;
+    var deny = options.deny || [];
+    var httpsOnly = !!options.httpsOnly;
+    var hook = options.check;
+    var publicSuffixes = new PublicSuffixes(options.publicSuffixList);
+
+    // realm is the result of realm.parse(), plus the original as 'url'. next(err, refusal) gets undefined
+    // if the realm is accepted
+    this.check = function(realm, request, next) {
+        if (realm.wildcard && publicSuffixes.isPublicSuffix(realm.host)) {
+            return next(null, { error: 'The realm covers a public suffix: ' + realm.url });
+        }
+
+        if (httpsOnly && realm.scheme !== 'https') return next(null, { error: 'The realm must use HTTPS: ' + realm.url });
+
+        var denied = deny.some(function(pattern) {
+            return matches(pattern, realm, overlaps);
+        });
+
+        var allowed = !allow || allow.some(function(pattern) {
+            return matches(pattern, realm, covers);
+        });
+
+        if (denied || !allowed) return next(null, { error: 'The realm is not allowed: ' + realm.url });
+
+        if (!hook) return next(null, undefined);
+
+        promises.invoke(hook, null, [realm, request], function(err, refusal) {
+            if (err || !refusal) return next(err, undefined);
+
+            next(null, typeof refusal === 'string' ? { error: refusal } : refusal);
+        });
+    }
+}
+
+function matches(pattern, realm, hostTest) {
+    if (pattern instanceof RegExp) return pattern.test(realm.url);
+
+    var wildcard = pattern.slice(0, 2) === '*.';
+
+    return hostTest({ host: (wildcard ? pattern.slice(2) : pattern).toLowerCase(), wildcard: wildcard }, realm);
+}
+
+// Does the pattern match every host the realm does? (For allowing)
+function covers(pattern, realm) {
+    if (realm.wildcard && !pattern.wildcard) return false;
+
+    return pattern.wildcard ? within(realm.host, pattern.host) : realm.host === pattern.host;
+}
+
+// Does the pattern match any host the realm does? (For denying)
+function overlaps(pattern, realm) {
+    return covers(pattern, realm) || (realm.wildcard && within(pattern.host, realm.host));
+}
+
+function within(host, domain) {
+    return host === domain || host.slice(-(domain.length + 1)) === '.' + domain;
+}
+
+exports = module.exports = RealmPolicy;
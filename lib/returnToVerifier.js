@@ -0,0 +1,216 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+var http = require('http'),
+    https = require('https'),
+    url = require('url'),
+    realm = require('./realm');
+
+var RETURN_TO_TYPE = 'http://specs.openid.net/auth/2.0/return_to';
+var XRDS_CONTENT_TYPE = 'application/xrds+xml';
+var MAX_REDIRECTS = 5;
+var MAX_BODY_LENGTH = 512 * 1024;
+
+// Relying Party discovery and return_to verification. 9.2.1, 13
+function ReturnToVerifier(options) {
+    if (!(this instanceof ReturnToVerifier)) {
+        return new ReturnToVerifier(options);
+    }
+
+    options = options || {};
+
+    var timeoutSecs = options.timeoutSecs || 5;
+    var fetch = options.fetch || httpFetch;
+    var cacheSecs = 'cacheSecs' in options ? options.cacheSecs : 3600;
+    var failureCacheSecs = 'failureCacheSecs' in options ? options.failureCacheSecs : 60;  // Fetch errors and timeouts
+    var maxCacheEntries = options.maxCacheEntries || 1000;
+    var cache = {};
+
+    this.verify = function(realmUrl, returnTo, next) {
+        // "the OP SHOULD substitute 'www' for the wildcard" when discovering a wildcard realm
+        var target = realmUrl.replace(/^(https?:\/\/)\*\./i, '$1www.');
+
+        discoverEndpoints(target, function(endpoints) {
+            if (endpoints.length === 0) return next(null, ReturnToVerifier.UNVERIFIABLE);
+
+            var verified = endpoints.some(function(endpoint) {
+                var parsedEndpoint = realm.parse(endpoint);
+                return !parsedEndpoint.error && realm.matches(parsedEndpoint, returnTo);
+            });
+
+            next(null, verified ? ReturnToVerifier.VERIFIED : ReturnToVerifier.MISMATCH);
+        });
+    }
+
+    function discoverEndpoints(target, next) {
+        var cached = cache[target];
+
+        if (cached && cached.expiry > Date.now()) return next(cached.endpoints);
+
+        yadis(target, function(failed, xrds) {
+            var endpoints = xrds ? returnToEndpoints(xrds) : [],
+                secs = failed ? Math.min(failureCacheSecs, cacheSecs) : cacheSecs;
+
+            if (secs > 0) {
+                // Realms are chosen by whoever sends us a request, so don't let the cache grow without limit
+                var keys = Object.keys(cache);
+                if (keys.length >= maxCacheEntries) delete cache[keys[0]];
+
+                delete cache[target];
+                cache[target] = {
+                    endpoints: endpoints,
+                    expiry: Date.now() + (secs * 1000)
+                };
+            }
+
+            next(endpoints);
+        });
+    }
+
+    // Yadis 1.0, section 6.2. Calls back with the XRDS document, or nothing if there isn't one. failed is true
+    // if a document couldn't be fetched, as that may not last
+    function yadis(target, next) {
+        get(target, function(response) {
+            if (!response) return next(true);
+
+            if (isXrds(response)) return next(false, response.body);
+
+            var location = response.headers['x-xrds-location'] || metaXrdsLocation(response);
+
+            if (!location) return next(false);
+
+            get(url.resolve(target, location), function(response) {
+                next(!response, response ? response.body : undefined);
+            });
+        });
+    }
+
+    function get(target, next, redirects) {
+        redirects = redirects || 0;
+
+        fetch(target, { 'Accept': XRDS_CONTENT_TYPE + ', text/html;q=0.5' }, function(err, response) {
+            if (err || !response) return next();
+
+            if ([301, 302, 303, 307, 308].indexOf(response.status) !== -1 && response.headers.location) {
+                if (redirects >= MAX_REDIRECTS) return next();
+                return get(url.resolve(target, response.headers.location), next, redirects + 1);
+            }
+
+            if (response.status !== 200) return next();
+
+            next(response);
+        });
+    }
+
+    function httpFetch(target, headers, next) {
+        var parsedTarget = url.parse(target),
+            transport = parsedTarget.protocol === 'https:' ? https : parsedTarget.protocol === 'http:' ? http : null,
+            done = false;
+
+        if (!transport) return next(new Error('Unsupported URL: ' + target));
+
+        function finish(err, response) {
+            if (done) return;
+            done = true;
+            next(err, response);
+        }
+
+        var req = transport.get({
+            hostname: parsedTarget.hostname,
+            port: parsedTarget.port,
+            path: parsedTarget.path,
+            headers: headers
+        }, function(res) {
+            var body = '';
+
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                body += chunk;
+                if (body.length > MAX_BODY_LENGTH) {
+                    req.abort();
+                    finish(new Error('Response too large: ' + target));
+                }
+            });
+            res.on('end', function() {
+                finish(null, {
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: body
+                });
+            });
+        });
+
+        req.setTimeout(timeoutSecs * 1000, function() {
+            req.abort();
+            finish(new Error('Timed out: ' + target));
+        });
+        req.on('error', finish);
+    }
+}
+
+ReturnToVerifier.VERIFIED = 'verified';
+ReturnToVerifier.UNVERIFIABLE = 'unverifiable';
+ReturnToVerifier.MISMATCH = 'mismatch';
+
+function isXrds(response) {
+    return (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === XRDS_CONTENT_TYPE;
+}
+
+function metaXrdsLocation(response) {
+    // Yadis 1.0, section 6.2.5 - <meta http-equiv="X-XRDS-Location" content="...">
+    var metaTags = response.body.match(/<meta\b[^>]*>/gi) || [];
+
+    for (var i = 0; i < metaTags.length; i++) {
+        if (/http-equiv\s*=\s*["']?x-xrds-location["'\s>\/]/i.test(metaTags[i])) {
+            var content = metaTags[i].match(/content\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+            if (content) return decodeXml(content[1] || content[2]);
+        }
+    }
+}
+
+function returnToEndpoints(xrds) {
+    var services = /<(?:[\w.-]+:)?Service\b[^>]*>([\s\S]*?)<\/(?:[\w.-]+:)?Service\s*>/g,
+        endpoints = [],
+        match;
+
+    while ((match = services.exec(xrds)) !== null) {
+        if (elementValues(match[1], 'Type').indexOf(RETURN_TO_TYPE) !== -1) {
+            endpoints = endpoints.concat(elementValues(match[1], 'URI'));
+        }
+    }
+
+    return endpoints;
+}
+
+function elementValues(xml, name) {
+    var elements = new RegExp('<(?:[\\w.-]+:)?' + name + '\\b[^>]*>([\\s\\S]*?)</(?:[\\w.-]+:)?' + name + '\\s*>', 'g'),
+        values = [],
+        match;
+
+    while ((match = elements.exec(xml)) !== null) {
+        values.push(decodeXml(match[1].trim()));
+    }
+
+    return values;
+}
+
+function decodeXml(text) {
+    return text.replace(/&lt;/g, '<')
+               .replace(/&gt;/g, '>')
+               .replace(/&quot;/g, '"')
+               .replace(/&apos;/g, '\'')
+               .replace(/&amp;/g, '&');
+}
+
+exports = module.exports = ReturnToVerifier;
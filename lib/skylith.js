@@ -15,12 +15,36 @@
 var crypto = require('crypto'),
     url = require('url'),
     util = require('util'),
+    EventEmitter = require('events').EventEmitter,
     validUrl = require('valid-url'),
-    uri = require('uri-js'),
     messageFactory = require('./messageFactory'),
+    accept = require('./accept'),
+    realm = require('./realm'),
+    identityUrls = require('./identityUrls'),
     Association = require('./association'),
-    MemoryAssociationStore = require('./memoryAssociationStore'),  // TODO
-    MemoryNonceStore = require('./memoryNonceStore');  // TODO
+    PrivateAssociations = require('./privateAssociations'),
+    ReturnToVerifier = require('./returnToVerifier'),
+    RealmPolicy = require('./realmPolicy'),
+    MetricsRegistry = require('./metrics'),
+    PendingRequests = require('./pendingRequests'),
+    Consents = require('./consents'),
+    formBody = require('./formBody'),
+    promises = require('./promises'),
+    nodeAdapter = require('./adapters/node'),
+    connectAdapter = require('./adapters/connect'),
+    httpAdapter = require('./adapters/http'),
+    koaAdapter = require('./adapters/koa'),
+    MemoryAssociationStore = require('./memoryAssociationStore'),
+    MemoryNonceStore = require('./memoryNonceStore'),
+    MemoryPendingRequestStore = require('./memoryPendingRequestStore'),
+    FileAssociationStore = require('./fileAssociationStore'),
+    FileNonceStore = require('./fileNonceStore'),
+    FilePendingRequestStore = require('./filePendingRequestStore'),
+    MemoryConsentStore = require('./memoryConsentStore'),
+    FileConsentStore = require('./fileConsentStore'),
+    ax = require('./extensions/ax'),
+    sreg = require('./extensions/sreg'),
+    pape = require('./extensions/pape');
 
 var DH_MODULUS_HEX = 'DCF93A0B883972EC0E19989AC5A2CE310E1D37717E8D9571BB7623731866E61E' +
                      'F75A2E27898B057F9891C2E27A639C3F29B60814581CD3B2CA3986D268370557' +
@@ -28,14 +52,49 @@ var DH_MODULUS_HEX = 'DCF93A0B883972EC0E19989AC5A2CE310E1D37717E8D9571BB76237318
                      '6634AF1949E5B535CC829A483B8A76223E5D490A257F05BDFF16F2FB22C583AB';
 
 var DH_MODULUS_B64 = new Buffer(DH_MODULUS_HEX, 'hex').toString('base64');
+var DH_GEN_B64 = Buffer.from([2]).toString('base64');
+var MAX_DH_MODULUS_BYTES = 256;  // 2048 bits. Key generation with larger moduli would hold up everything else
 
-var OPENID_NS = 'http://specs.openid.net/auth/2.0';  // TODO duplicated
-var OPENID_AX_NS = 'http://openid.net/srv/ax/1.0';
+var OPENID_NS = 'http://specs.openid.net/auth/2.0';
+var OPENID1_NS = 'http://openid.net/signon/1.1';
+var OPENID_IDENTIFIER_SELECT = 'http://specs.openid.net/auth/2.0/identifier_select';
+
+var KNOWN_MODES = ['associate', 'check_authentication', 'checkid_setup', 'checkid_immediate'];
+
+// 8.3. The hash and the length of the MAC key
+var ASSOCIATION_TYPES = {
+    'HMAC-SHA1': { algorithm: 'sha1', length: 20 },
+    'HMAC-SHA256': { algorithm: 'sha256', length: 32 }
+};
+
+// 8.4. The hash used to encrypt the MAC key, if any. It must produce a key of the same length (8.4.2)
+var SESSION_TYPES = {
+    'no-encryption': null,
+    'DH-SHA1': 'sha1',
+    'DH-SHA256': 'sha256'
+};
+
+// Store operations which are timed and have their errors counted
+var STORE_OPERATIONS = ['put', 'get', 'delete', 'getAndDelete'];
+
+// Fields which are never included in events
+var SECRET_FIELDS = ['mac_key', 'enc_mac_key'];
+
+// Things Skylith itself puts in the context, which extensions can't use as names
+var RESERVED_CONTEXT_NAMES = ['interactive', 'request', 'identity', 'extensionAliases', 'returnToVerification', 'formPost', 'handle', 'consent'];
+
+// Extensions which are used unless the 'extensions' option says otherwise
+var BUILT_IN_EXTENSIONS = {
+    ax: ax,
+    sreg: sreg,
+    pape: pape
+};
 
 var HTML_DISCOVERY_RESPONSE_TEMPLATE = '<!DOCTYPE html>\
 <html>\
 <head>\
 <title>OpenID Provider</title>\
+<meta http-equiv="X-XRDS-Location" content="%s">\
 <link rel="openid2.provider" href="%s">\
 </head>\
 <body>\
@@ -47,228 +106,605 @@ var HTML_VALIDATION_RESPONSE_TEMPLATE = '<!DOCTYPE html>\
 <html>\
 <head>\
 <title>OpenID Provider</title>\
+<meta http-equiv="X-XRDS-Location" content="%s">\
 <link rel="openid2.provider" href="%s">\
 <link rel="openid2.local_id" href="%s">\
+%s\
 </head>\
 <body>\
 </body>\
 </html>\
 ';
 
+// OpenID 1.1, section 3.1
+var HTML_OPENID1_LINKS_TEMPLATE = '<link rel="openid.server" href="%s">\
+<link rel="openid.delegate" href="%s">\
+';
+
 var XRDS_DISCOVERY_RESPONSE_TEMPLATE = '<?xml version="1.0" encoding="UTF-8"?>\
 <xrds:XRDS xmlns:xrds="xri://$xrds" xmlns="xri://$xrd*($v*2.0)">\
 <XRD>\
 <Service priority="0">\
-<Type>http://specs.openid.net/auth/2.0/%s</Type>\
-<Type>http://openid.net/srv/ax/1.0</Type>\
+%s\
 <URI>%s</URI>\
+%s\
 </Service>\
 </XRD>\
 </xrds:XRDS>\
 ';
 
+// 5.2.2. Placeholders are {action}, {inputs} and {nonce}. The script is allowed by the Content-Security-Policy
+// sent with it, using the nonce
+var FORM_POST_TEMPLATE = '<!DOCTYPE html>\
+<html>\
+<head>\
+<title>OpenID Provider</title>\
+</head>\
+<body>\
+<form method="post" action="{action}" accept-charset="UTF-8">\
+{inputs}\
+<noscript><button type="submit">Continue</button></noscript>\
+</form>\
+<script nonce="{nonce}">document.forms[0].submit();</script>\
+</body>\
+</html>\
+';
+
+var FORM_POST_INPUT_TEMPLATE = '<input type="hidden" name="%s" value="%s">';
+
+var XRDS_TYPE_TEMPLATE = '<Type>%s</Type>';
+var XRDS_LOCAL_ID_TEMPLATE = '<LocalID>%s</LocalID>';
+
+var XRDS_CONTENT_TYPE = 'application/xrds+xml';
+var HTML_CONTENT_TYPE = 'text/html';
+
 function OpenIDProvider(options) {
     if (!(this instanceof OpenIDProvider)) {
         return new OpenIDProvider(options);
     }
 
+    EventEmitter.call(this);
+
     var self = this;
-    var associationStore = options.associationStore || new MemoryAssociationStore();
-    var nonceStore = options.nonceStore || new MemoryNonceStore();
+    var registry = new MetricsRegistry();
+    var metrics = {
+        associations: registry.counter('skylith_associations_total', 'Associations created', ['assoc_type', 'session_type']),
+        assertions: registry.counter('skylith_assertions_total', 'Responses to checkid requests', ['result']),
+        checkAuthentications: registry.counter('skylith_check_authentications_total', 'check_authentication verdicts', ['result']),
+        rejectedRequests: registry.counter('skylith_rejected_requests_total', 'Requests answered with an OpenID error', ['mode']),
+        internalErrors: registry.counter('skylith_internal_errors_total', 'Requests which failed with an internal error'),
+        storeErrors: registry.counter('skylith_store_errors_total', 'Errors from the stores', ['store', 'operation']),
+        storeDuration: registry.histogram('skylith_store_duration_seconds', 'Time taken by store operations', ['store', 'operation']),
+        dhDuration: registry.histogram('skylith_dh_duration_seconds', 'Time taken by Diffie-Hellman key exchange', ['session_type'])
+    };
+    var associationStore = instrumentStore(options.associationStore || new MemoryAssociationStore(), 'association');
+    var nonceStore = instrumentStore(options.nonceStore || new MemoryNonceStore(), 'nonce');
+    var pendingRequestStore = instrumentStore(options.pendingRequestStore || new MemoryPendingRequestStore(), 'pending');
+    var pendingRequests = new PendingRequests({
+        store: pendingRequestStore,
+        secret: options.pendingRequestSecret,
+        expirySecs: options.pendingRequestExpirySecs || 600
+    });
+    var consentStore = instrumentStore(options.consentStore || new MemoryConsentStore(), 'consent');
+    var consents = new Consents({
+        store: consentStore,
+        expirySecs: options.consentExpirySecs || 365 * 24 * 60 * 60
+    });
+    var currentIdentity = options.currentIdentity;
+    var metricsPath = options.metricsPath;
     var providerEndpoint = options.providerEndpoint;
     var checkAuth = options.checkAuth;
-    var associationExpirySecs = options.associationExpirySecs || 30;
+    var identityMapping = identityUrls.create(options.identityUrl || providerEndpoint + '?u={identity}');
+    // Relying Parties keep shared associations for many logins, but a private one only has to outlast a single
+    // check_authentication
+    var sharedAssociationExpirySecs = options.sharedAssociationExpirySecs || options.associationExpirySecs || 6 * 60 * 60;
+    var privateAssociationExpirySecs = options.privateAssociationExpirySecs || options.associationExpirySecs || 30;
+    var associationTypes = supportedTypes(options.associationTypes || ['HMAC-SHA256', 'HMAC-SHA1'], ASSOCIATION_TYPES, 'association');
+    var sessionTypes = supportedTypes(options.sessionTypes || ['DH-SHA256', 'DH-SHA1', 'no-encryption'], SESSION_TYPES, 'session');
     var nonceExpirySecs = options.nonceExpirySecs || 30;
+    var nonceClockSkewSecs = 'nonceClockSkewSecs' in options ? options.nonceClockSkewSecs : 60;
+    var privateAssociations = options.privateAssociationKeys ? new PrivateAssociations({
+        keys: options.privateAssociationKeys,
+        graceSecs: options.privateAssociationKeyGraceSecs || privateAssociationExpirySecs
+    }) : null;
+    var openId1Compatibility = !!options.openId1Compatibility;
+    var extensions = [];
+    var bodyLimits = { maxBytes: options.maxBodyBytes, maxFields: options.maxBodyFields };
+    var maxRedirectUrlLength = options.maxRedirectUrlLength || 2048;
+    var formPostTemplate = options.formPostTemplate || FORM_POST_TEMPLATE;
+    var realmPolicy = new RealmPolicy(options.realmPolicy);
+    var returnToVerifier = options.returnToVerification ?
+                           new ReturnToVerifier(options.returnToVerification === true ? {} : options.returnToVerification) : null;
+
+    // The transport-neutral core, which the adapters in lib/adapters are built on. See README.md
+    this.handleRequest = function(httpRequest, next) {
+        return promises.callbackOrPromise(next, function(next) {
+            handleRequest(httpRequest, next);
+        });
+    }
+
+    // For compatibility, authResponse.context can be given instead of the handle
+    this.completeAuthResponse = function(handle, authResponse, next) {
+        if (typeof handle !== 'string') {
+            next = authResponse;
+            authResponse = handle;
+            handle = handleOf(authResponse.context);
+        }
+
+        return promises.callbackOrPromise(next, function(next) {
+            checkIdComplete(handle, authResponse, next);
+        });
+    }
+
+    // Options: formPost
+    this.rejectAuthResponse = function(handle, rejectOptions, next) {
+        if (typeof rejectOptions === 'function') {
+            next = rejectOptions;
+            rejectOptions = undefined;
+        }
+
+        return promises.callbackOrPromise(next, function(next) {
+            checkIdCancel(handle, rejectOptions || {}, next);
+        });
+    }
+
+    // The fields of a POST from a Node request, for the adapters
+    this.readBody = function(req, next) {
+        if (req.body) return next(null, req.body);
+        if (!formBody.isForm(req)) return next(null, {});  // Left for the application's own body parsers
+
+        formBody.read(req, bodyLimits, function(err, body) {
+            if (err) return next(err);
+
+            // The stream can only be read once. Marked as parsed so later body parsers don't wait for it
+            req.body = body;
+            req._body = true;
+            next(null, body);
+        });
+    }
+
+    // Middleware for Connect and Express
+    this.connect = this.express = function() {
+        return connectAdapter(self);
+    }
+
+    // A request listener for http.createServer(), serving mountPath (default: the provider endpoint's path)
+    this.http = function(mountPath) {
+        return httpAdapter(self, mountPath || url.parse(providerEndpoint).pathname);
+    }
+
+    // Middleware for Koa 2+. checkAuth is called with (ctx, interactive, context)
+    this.koa = function() {
+        return koaAdapter(self);
+    }
+
+    // Finish a checkid request. If anything goes wrong, nothing is sent - that's up to the caller
+    this.completeAuth = function(req, res, handle, authResponse, next) {
+        if (typeof handle !== 'string') {
+            next = authResponse;
+            authResponse = handle;
+            handle = handleOf(authResponse.context);
+        }
+
+        return promises.callbackOrPromise(next, function(next) {
+            checkIdComplete(handle, authResponse, nodeAdapter.responder(res, next));
+        });
+    }
+
+    this.rejectAuth = function(req, res, handle, rejectOptions, next) {
+        if (typeof rejectOptions === 'function') {
+            next = rejectOptions;
+            rejectOptions = undefined;
+        }
 
-    this.express = function() {
-        return middleware;
+        return promises.callbackOrPromise(next, function(next) {
+            checkIdCancel(handle, rejectOptions || {}, nodeAdapter.responder(res, next));
+        });
     }
 
-    this.completeAuth = function(req, res, authResponse) {
-        checkIdComplete(req, res, authResponse);
+    // Adds to what the user has agreed to tell realm. Options: attributes (AX types), expirySecs
+    this.grantConsent = function(identity, realm, grantOptions, next) {
+        if (typeof grantOptions === 'function') {
+            next = grantOptions;
+            grantOptions = undefined;
+        }
+
+        return promises.callbackOrPromise(next, function(next) {
+            consents.grant(identity, realm, grantOptions || {}, next);
+        });
     }
 
-    this.rejectAuth = function(req, res, context) {
-        checkIdCancel(req, res, context);
+    this.revokeConsent = function(identity, realm, next) {
+        return promises.callbackOrPromise(next, function(next) {
+            consents.revoke(identity, realm, next);
+        });
+    }
+
+    // The user's unexpired consent for realm, or null
+    this.getConsent = function(identity, realm, next) {
+        return promises.callbackOrPromise(next, function(next) {
+            consents.get(identity, realm, next);
+        });
     }
 
-    function middleware(req, res, next) {
-        if (req.method === 'POST') {
-            var request = messageFactory.fromBody(req);
+    // Other processes need the new key, { id, secret }, before they see its handles
+    this.rotatePrivateAssociationKey = function(key) {
+        if (!privateAssociations) throw new Error('Private association keys are not in use');
+
+        privateAssociations.rotate(key);
+    }
+
+    // Register an extension. README.md describes what one looks like
+    this.use = function(extension) {
+        if (!extension || !extension.name || !extension.ns) throw new Error('Extensions must have a name and a namespace');
+        if (typeof extension.parseRequest !== 'function' || typeof extension.formatResponse !== 'function') {
+            throw new Error('Extensions must have parseRequest and formatResponse functions');
+        }
+        if (findExtension(extension.name)) throw new Error('Extension already registered: ' + extension.name);
+        if (RESERVED_CONTEXT_NAMES.indexOf(extension.name) !== -1) throw new Error('Reserved extension name: ' + extension.name);
+
+        extensions.push(extension);
+
+        return self;
+    }
+
+    // The metrics in Prometheus text format
+    this.metrics = function() {
+        return registry.render();
+    }
+
+    this.close = function() {
+        // Stop any timers in the default stores. Stores passed in as options are the caller's responsibility
+        if (!options.associationStore) associationStore.close();
+        if (!options.nonceStore) nonceStore.close();
+        if (!options.pendingRequestStore) pendingRequestStore.close();
+        if (!options.consentStore) consentStore.close();
+    }
+
+    var initialExtensions = options.extensions || Object.keys(BUILT_IN_EXTENSIONS);
+
+    initialExtensions.forEach(function(extension) {
+        if (typeof extension === 'string') {
+            if (!BUILT_IN_EXTENSIONS[extension]) throw new Error('Unknown extension: ' + extension);
+            extension = BUILT_IN_EXTENSIONS[extension];
+        }
 
-            if (request.ns !== OPENID_NS) return next(); // not OpenID (4.1.2)
+        self.use(extension);
+    });
+
+    function handleRequest(httpRequest, next) {
+        if (httpRequest.method === 'POST') {
+            var request = messageFactory.fromBody(httpRequest.body || {});
+
+            if (!isOpenId(request)) return next(null, null); // not OpenID (4.1.2)
+
+            var repeatedField = findRepeatedField(request);
+            if (repeatedField) return sendDirectResponseError(request, { error: 'Repeated field: ' + repeatedField }, next);
 
             if (request.mode === 'associate') {  // 8.1
-                return associate(request, req, res, next);
+                return associate(request, httpRequest, next);
             }
 
             if (request.mode === 'check_authentication') {  // 11.4.2.1
-                return checkAuthentication(request, req, res, next);
+                return checkAuthentication(request, next);
             }
 
             if (request.mode === 'checkid_setup') {  // checkid_setup can be posted
-                return checkIdSetup(request, req, res, next);
+                return checkId(request, httpRequest, true, next);
             }
 
             if (request.mode === 'checkid_immediate') {  // checkid_immediate can be posted
-                return checkIdImmediate(request, req, res, next);
+                return checkId(request, httpRequest, false, next);
             }
 
             // unknown direct request
-            sendDirectResponseError(res, {
+            sendDirectResponseError(request, {
                 error: 'Unknown or unsupported direct request'
-            });
-        } else if (req.method === 'GET') {
-            var request = messageFactory.fromQueryArgs(req);
-
-            if (request.ns !== OPENID_NS) { // not OpenID (4.1.2)
-                if (url.parse(req.url).pathname === '/') {  // relative to where the middleware is mounted
-                    // Discovery
-                    if (Object.keys(req.query).length === 1 && req.query.u) {
-                        return sendDiscoveryResponse(req, res, req.query.u);
-                    } else {
-                        return sendDiscoveryResponse(req, res);
-                    }
-                } else {
-                    return next();
-                }
+            }, next);
+        } else if (httpRequest.method === 'GET' || httpRequest.method === 'HEAD') {
+            if (metricsPath && url.parse(httpRequest.url).pathname === metricsPath) {
+                return next(null, {
+                    status: 200,
+                    headers: { 'Content-Type': 'text/plain; version=0.0.4' },
+                    body: registry.render()
+                });
             }
 
+            var request = messageFactory.fromQueryArgs(httpRequest.url);
+
+            if (!isOpenId(request)) return discovery(httpRequest, next); // not OpenID (4.1.2)
+
+            if (httpRequest.method === 'HEAD') return next(null, null);  // HEAD is only for discovery (Yadis 1.0, section 6.2.4)
+
+            var repeatedField = findRepeatedField(request);
+            if (repeatedField) return sendIndirectResponseError(request, 'Repeated field: ' + repeatedField, next);
+
             if (request.mode === 'checkid_setup') {
-                return checkIdSetup(request, req, res, next);
+                return checkId(request, httpRequest, true, next);
             }
 
             if (request.mode === 'checkid_immediate') {
-                return checkIdImmediate(request, req, res, next);
+                return checkId(request, httpRequest, false, next);
             }
 
             // unknown indirect request
-            sendIndirectResponseError(request, res, 'Unknown or unsupported indirect request');
+            sendIndirectResponseError(request, 'Unknown or unsupported indirect request', next);
         } else {
-            return next();
+            next(null, null);
         }
     }
 
+    function isOpenId(request) {
+        if (request.ns === OPENID_NS) return true;
+
+        // OpenID 1.x messages have no namespace, so they're only recognisable by their mode
+        return openId1Compatibility && isOpenId1(request) && !!request.mode;
+    }
+
+    function findRepeatedField(request) {
+        // Form and query string parsers give arrays for keys which appear more than once. Which value was
+        // meant is anybody's guess, and it might not be the one which was signed
+        for (var field in request) {
+            if (Array.isArray(request[field])) return 'openid.' + field;
+        }
+    }
+
+    function isOpenId1(request) {
+        // Only meaningful for messages which have already passed isOpenId()
+        return request.ns === undefined || request.ns === OPENID1_NS;
+    }
+
     function identityToUrl(identity) {
-        return providerEndpoint + '?u=' + encodeURIComponent(identity);
+        return identityMapping.toUrl(identity);
     }
 
-    function sendDiscoveryResponse(req, res, identity) {
-        if (req.accepts('application/xrds+xml')) {
-            res.type('application/xrds+xml');
+    function urlToIdentity(identityUrl) {
+        // Returns null for URLs which aren't identities at this provider
+        return identityMapping.fromUrl(identityUrl);
+    }
 
-            if (identity) {
-                res.end(util.format(XRDS_DISCOVERY_RESPONSE_TEMPLATE, 'signon', providerEndpoint));
-            } else {
-                res.end(util.format(XRDS_DISCOVERY_RESPONSE_TEMPLATE, 'server', providerEndpoint));
-            }
-        } else if (req.accepts('text/html')) {
-            res.type('text/html');
+    function discovery(httpRequest, next) {
+        // Identity URLs are assumed to be on the same host as the provider endpoint, and the provider
+        // needs to be mounted wherever they live as well as at the endpoint
+        var resourceUrl = url.resolve(providerEndpoint, httpRequest.originalUrl || httpRequest.url),
+            parsedUrl = url.parse(resourceUrl, true),
+            xrdsRequested = 'xrds' in parsedUrl.query;
+
+        if (xrdsRequested) {
+            // See xrdsLocation()
+            delete parsedUrl.query.xrds;
+            delete parsedUrl.search;
+            resourceUrl = url.format(parsedUrl);
+        }
 
-            if (identity) {
-                res.end(util.format(HTML_VALIDATION_RESPONSE_TEMPLATE, providerEndpoint, identityToUrl(identity)));
-            } else {
-                res.end(util.format(HTML_DISCOVERY_RESPONSE_TEMPLATE, providerEndpoint));
-            }
+        var identity = urlToIdentity(resourceUrl);
+
+        if (identity !== null) {
+            next(null, discoveryResponse(httpRequest, xrdsRequested, identity));
+        } else if (url.parse(httpRequest.url).pathname === '/') {  // relative to where the provider is mounted
+            next(null, discoveryResponse(httpRequest, xrdsRequested));
         } else {
-            res.send(406);  // "Not acceptable"
+            next(null, null);
         }
     }
 
-    function associate(request, req, res, next) {
-        if (request.session_type === 'no-encryption') {
-            if (req.secure) {
-                unencryptedAssociation(request, res, next);
-            } else {
-                // 8.1.1, 8.4.1
-                unsupportedAssociation(res, 'Cannot create a "no-encryption" session without using HTTPS');
+    function discoveryResponse(httpRequest, xrdsRequested, identity) {
+        var identityUrl = identity === undefined ? undefined : identityToUrl(identity);
+
+        // Yadis 1.0, section 6.2.4. HTML is the default for anyone who doesn't specifically ask for XRDS
+        var contentType = xrdsRequested ? XRDS_CONTENT_TYPE :
+                          accept.choose(httpRequest.headers.accept, [HTML_CONTENT_TYPE, XRDS_CONTENT_TYPE]) || HTML_CONTENT_TYPE;
+
+        var response = {
+            status: 200,
+            headers: {
+                'Content-Type': contentType,
+                'Vary': 'Accept'
             }
-        } else if (request.session_type === 'DH-SHA1') {
-            diffieHellmanAssociate(request, res, 'sha1', next);
-        } else if (request.session_type === 'DH-SHA256') {
-            diffieHellmanAssociate(request, res, 'sha256', next);
+        };
+
+        if (contentType === XRDS_CONTENT_TYPE) {
+            var types = [OPENID_NS + (identityUrl ? '/signon' : '/server')];
+
+            // OpenID 1.x has no concept of OP identifiers, so only user documents advertise it
+            if (identityUrl && openId1Compatibility) types.push(OPENID1_NS);
+
+            extensions.forEach(function(extension) {
+                types.push.apply(types, extension.types || [extension.ns]);
+            });
+
+            response.body = util.format(XRDS_DISCOVERY_RESPONSE_TEMPLATE, types.map(function(type) {
+                return util.format(XRDS_TYPE_TEMPLATE, escapeMarkup(type));
+            }).join(''), escapeMarkup(providerEndpoint),
+            identityUrl ? util.format(XRDS_LOCAL_ID_TEMPLATE, escapeMarkup(identityUrl)) : '');
         } else {
-            unsupportedAssociation(res, 'Session type not recognised: ' + request.session_type);
+            var location = xrdsLocation(identityUrl || providerEndpoint);
+
+            response.headers['X-XRDS-Location'] = location;
+
+            if (identityUrl) {
+                var openId1Links = openId1Compatibility ?
+                                   util.format(HTML_OPENID1_LINKS_TEMPLATE, escapeMarkup(providerEndpoint), escapeMarkup(identityUrl)) : '';
+
+                response.body = util.format(HTML_VALIDATION_RESPONSE_TEMPLATE, escapeMarkup(location), escapeMarkup(providerEndpoint),
+                                            escapeMarkup(identityUrl), openId1Links);
+            } else {
+                response.body = util.format(HTML_DISCOVERY_RESPONSE_TEMPLATE, escapeMarkup(location), escapeMarkup(providerEndpoint));
+            }
         }
+
+        return response;
     }
 
-    function unencryptedAssociation(request, res, next) {
+    function xrdsLocation(resourceUrl) {
+        // The same URL, but with a marker which asks for the XRDS document whatever the Accept header says
+        return resourceUrl + (resourceUrl.indexOf('?') === -1 ? '?' : '&') + 'xrds';
+    }
+
+    function associate(request, httpRequest, next) {
+        var sessionType = request.session_type,
+            assocType = request.assoc_type;
+
+        function unsupported(message) {
+            unsupportedAssociation(request, httpRequest, message, next);
+        }
+
+        if (isOpenId1(request)) {
+            // OpenID 1.1, section 4.1. A missing session type means no encryption, and only SHA1 is available
+            if (!assocType) assocType = request.assoc_type = 'HMAC-SHA1';
+            if (!sessionType) sessionType = request.session_type = 'no-encryption';
+
+            if (assocType !== 'HMAC-SHA1') return unsupported('Association type not supported by OpenID 1.x: ' + assocType);
+            if (sessionType === 'DH-SHA256') return unsupported('Session type not supported by OpenID 1.x: ' + sessionType);
+        }
+
+        if (!SESSION_TYPES.hasOwnProperty(sessionType)) return unsupported('Session type not recognised: ' + sessionType);
+        if (sessionTypes.indexOf(sessionType) === -1) return unsupported('Session type not supported: ' + sessionType);
+
+        // 8.1.1, 8.4.1
+        if (sessionType === 'no-encryption' && !httpRequest.secure) {
+            return unsupported('Cannot create a "no-encryption" session without using HTTPS');
+        }
+
+        if (!ASSOCIATION_TYPES.hasOwnProperty(assocType)) return unsupported('Association type not recognised: ' + assocType);
+        if (associationTypes.indexOf(assocType) === -1) return unsupported('Association type not supported: ' + assocType);
+
+        if (!compatibleTypes(sessionType, assocType)) {
+            return unsupported('Session type ' + sessionType + ' cannot be used with ' + assocType);
+        }
+
+        if (sessionType === 'no-encryption') return unencryptedAssociation(request, next);
+
+        var dhError = diffieHellmanParametersError(request);
+        if (dhError) return sendDirectResponseError(request, { error: dhError }, next);
+
+        diffieHellmanAssociate(request, SESSION_TYPES[sessionType], next);
+    }
+
+    function unencryptedAssociation(request, next) {
         createMac(request.assoc_type, function(err, macBuffer, hashAlgorithm) {
-            if (err) return internalError(err, res, next);
-            if (!macBuffer) return unsupportedAssociation(res, 'Association type not recognised: ' + request.assoc_type);
+            if (err) return internalError(err, next);
 
-            var association = new Association(hashAlgorithm, macBuffer.toString('base64'), associationExpirySecs, false);
+            var association = new Association(hashAlgorithm, macBuffer.toString('base64'), sharedAssociationExpirySecs, false);
 
             associationStore.put(association, function(err) {
-                if (err) return internalError(err, res, next);
+                if (err) return internalError(err, next);
 
                 var response = {
                     assoc_handle: association.handle,
                     session_type: request.session_type,
                     assoc_type: request.assoc_type,
-                    expires_in: associationExpirySecs,
+                    expires_in: sharedAssociationExpirySecs,
                     mac_key: macBuffer.toString('base64')
                 }
 
-                sendDirectResponse(res, response);
+                // OpenID 1.1 uses a blank session type for no encryption
+                if (isOpenId1(request)) delete response.session_type;
+
+                emitAssociation(request, response);
+                sendDirectResponse(request, response, next);
             });
         });
     }
 
-    function diffieHellmanAssociate(request, res, dhHash, next) {
+    function diffieHellmanAssociate(request, dhHash, next) {
         createMac(request.assoc_type, function(err, macBuffer, hashAlgorithm) {
-            if (err) return internalError(err, res, next);
-            if (!macBuffer) return unsupportedAssociation(res, 'Association type not recognised: ' + request.assoc_type);
+            if (err) return internalError(err, next);
+
+            var dhTimer = metrics.dhDuration.startTimer({ session_type: request.session_type });
+            var publicKeyBase64, secretKeyBinary;
+
+            try {
+                var dh = crypto.createDiffieHellman(request.dh_modulus || DH_MODULUS_B64, 'base64', request.dh_gen || DH_GEN_B64, 'base64');
+                publicKeyBase64 = btwoc(dh.generateKeys()).toString('base64');
+                secretKeyBinary = dh.computeSecret(request.dh_consumer_public, 'base64');
+            } catch (e) {
+                dhTimer();
 
-            var dh = crypto.createDiffieHellman(request.dh_modulus || DH_MODULUS_B64, 'base64');
-            var publicKeyBase64 = btwoc(dh.generateKeys()).toString('base64');
-            var secretKeyBinary = dh.computeSecret(request.dh_consumer_public, 'base64');
+                // OpenSSL refuses, for example, a public key which is out of range for the modulus
+                return sendDirectResponseError(request, { error: 'Invalid Diffie-Hellman parameters' }, next);
+            }
+
+            dhTimer();
             var hash = crypto.createHash(hashAlgorithm);
 
             hash.update(btwoc(secretKeyBinary));
 
-            var association = new Association(hashAlgorithm, macBuffer.toString('base64'), associationExpirySecs, false);
+            var association = new Association(hashAlgorithm, macBuffer.toString('base64'), sharedAssociationExpirySecs, false);
             var encodedMac = xor(hash.digest(), macBuffer);
 
             associationStore.put(association, function(err) {
-                if (err) return internalError(err, res, next);
+                if (err) return internalError(err, next);
 
                 var response = {
                     assoc_handle: association.handle,
                     session_type: request.session_type,
                     assoc_type: request.assoc_type,
-                    expires_in: associationExpirySecs,
+                    expires_in: sharedAssociationExpirySecs,
                     dh_server_public: publicKeyBase64,
                     enc_mac_key: encodedMac.toString('base64')
                 }
 
-                sendDirectResponse(res, response);
+                emitAssociation(request, response);
+                sendDirectResponse(request, response, next);
             });
         });
     }
 
+    function emitAssociation(request, response) {
+        emitEvent('association', {
+            request: request,
+            response: response,
+            assocHandle: response.assoc_handle,
+            assocType: request.assoc_type,
+            sessionType: request.session_type,
+            expiresIn: sharedAssociationExpirySecs
+        });
+    }
+
+    // assocType must be one of ASSOCIATION_TYPES
     function createMac(assocType, next) {
-        if (assocType === 'HMAC-SHA1') {
-            crypto.randomBytes(20, function(err, buffer) {
-                next(err, buffer, 'sha1');
-            });
-        } else if (assocType === 'HMAC-SHA256') {
-            crypto.randomBytes(32, function(err, buffer) {
-                next(err, buffer, 'sha256');
-            });
-        } else {
-            next();  // pass undefined buffer back to caller
+        var type = ASSOCIATION_TYPES[assocType];
+
+        crypto.randomBytes(type.length, function(err, buffer) {
+            next(err, buffer, type.algorithm);
+        });
+    }
+
+    function unsupportedAssociation(request, httpRequest, message, next) {
+        // 8.2.4. Suggest the most preferred combination the Relying Party could use instead, if there is one
+        var response = {
+                error: message,
+                error_code: 'unsupported-type'
+            },
+            suggestion = suggestedTypes(request, httpRequest);
+
+        if (suggestion) {
+            response.session_type = suggestion.sessionType;
+            response.assoc_type = suggestion.assocType;
         }
+
+        sendDirectResponseError(request, response, next);
     }
 
-    function unsupportedAssociation(res, message) {
-        // 8.2.4
-        sendDirectResponseError(res, {
-            error: message,
-            error_code: 'unsupported-type',
-            session_type: 'DH-SHA256',
-            assoc_type: 'HMAC-SHA256'
-        });
+    function suggestedTypes(request, httpRequest) {
+        var openId1 = isOpenId1(request);
+
+        for (var i = 0; i < sessionTypes.length; i++) {
+            var sessionType = sessionTypes[i];
+
+            if (sessionType === 'no-encryption' && !httpRequest.secure) continue;
+            if (openId1 && sessionType === 'DH-SHA256') continue;
+
+            for (var j = 0; j < associationTypes.length; j++) {
+                var assocType = associationTypes[j];
+
+                if (openId1 && assocType !== 'HMAC-SHA1') continue;
+                if (compatibleTypes(sessionType, assocType)) return { sessionType: sessionType, assocType: assocType };
+            }
+        }
+
+        return null;
     }
 
     // 4.2
@@ -293,141 +729,351 @@ function OpenIDProvider(options) {
         return result;
     }
 
-    function checkIdSetup(request, req, res, next) {
-        checkId(request, req, res, true, next);
-    }
+    function checkId(request, httpRequest, interactive, next) {
+        var requestRealm = getRequestRealm(request);
 
-    function checkIdImmediate(request, req, res, next) {
-        checkId(request, req, res, false, next);
-    }
+        if (!request.return_to && !requestRealm) {
+            return sendIndirectResponseError(request, 'checkid_setup/checkid_immediate must specify one (or both) of return_to and realm', next);  // 9.1
+        }
+
+        if (requestRealm) {
+            var parsedRealm = realm.parse(requestRealm);
+
+            if (parsedRealm.error) return sendIndirectResponseError(request, parsedRealm.error, next);
 
-    function checkId(request, req, res, interactive, next) {
-        if (!request.return_to && !request.realm) {
-            return sendIndirectResponseError(request, res, 'checkid_setup/checkid_immediate must specify one (or both) of return_to and realm');  // 9.1
+            if (request.return_to && !realm.matches(parsedRealm, request.return_to)) {
+                return sendIndirectResponseError(request, 'The return_to URL does not match the realm', next);
+            }
         }
 
-        if (request.realm) {
-            var wildcardRealm = false;
+        var requestedIdentity = parseRequestedIdentity(request);
+        if (requestedIdentity.error) return sendIndirectResponseError(request, requestedIdentity.error, next);
 
-            // Validate realm. 9.2
-            var parsedRealm = uri.parse(request.realm);  // Use a third-party parser instead of the node URL module to get wildcard support
+        var context = {
+            interactive: interactive,
+            request: request,
+            identity: requestedIdentity,
+            extensionAliases: {}  // So the responses use the same aliases as the request
+        }
 
-            if (parsedRealm.errors.length > 0) return sendIndirectResponseError(request, res, 'Invalid realm');
+        for (var i = 0; i < extensions.length; i++) {
+            var extension = extensions[i],
+                extensionRequest = getExtensionRequest(request, extension);
 
-            if (parsedRealm.fragment) return sendIndirectResponseError(request, res, 'Realm cannot contain a fragment');
+            if (!extensionRequest) continue;
 
-            if (parsedRealm.host.slice(0, 2) === '*.') {
-                // replace the wildcard realm with a non-wildcard
-                parsedRealm.host = parsedRealm.host.slice(2);
-                wildcardRealm = true;
-            }
+            var extensionContext = extension.parseRequest(extensionRequest, request);
+            if (extensionContext instanceof Error) return sendIndirectResponseError(request, extensionContext.message, next);
 
-            parsedRealm = uri.normalize(parsedRealm);
+            context[extension.name] = extensionContext;
+            context.extensionAliases[extension.name] = extensionRequest.alias;
+        }
 
-            // Now revalidate with something that specifically understands HTTP and HTTPS URLs (instead of general URIs)
-            if (!validUrl.isWebUri(uri.serialize(parsedRealm))) return sendIndirectResponseError(request, res, 'Invalid realm');
+        checkRealmPolicy();
 
-            if (request.return_to) {
-                var parsedReturnTo = uri.normalize(uri.parse(request.return_to));
+        // Without a realm, the return_to URL is the realm (9.2)
+        function checkRealmPolicy() {
+            var policyRealm = parsedRealm || realm.parse(request.return_to.split('#')[0]);
 
-                // The schemes and ports must be equal
-                if (parsedRealm.scheme !== parsedReturnTo.scheme || parsedRealm.port !== parsedReturnTo.port) {
-                    return sendIndirectResponseError(request, res, 'The return_to URL does not match the realm');
-                }
+            if (policyRealm.error) return sendIndirectResponseError(request, 'Invalid return_to URL', next);
 
-                // The pathnames must be equal or else the return_to pathname must be a "sub-directory" of the realm pathname. 9.2
-                if (!(parsedRealm.pathname === parsedReturnTo.pathname || parsedReturnTo.pathname.indexOf(parsedRealm.pathname + '/') === 0)) {
-                    return sendIndirectResponseError(request, res, 'The return_to URL does not match the realm');
-                }
+            policyRealm.url = requestRealm || request.return_to;
 
-                // Hostnames match or the return_to hostname must END with '.'+realm hostname IFF realm was wildcarded
-                if (!(parsedRealm.hostname === parsedReturnTo.hostname ||
-                     (wildcardRealm && parsedReturnTo.hostname.substr(parsedReturnTo.hostname.length - parsedRealm.hostname.length - 1) === '.' + parsedRealm.hostname))) {
-                    return sendIndirectResponseError(request, res, 'The return_to URL does not match the realm');
-                }
+            realmPolicy.check(policyRealm, request, function(err, refusal) {
+                if (err) return internalError(err, next);
+                if (refusal) return sendIndirectResponseError(request, refusal.error || 'The realm is not allowed', next, refusal);
+
+                verifyReturnTo();
+            });
+        }
+
+        function verifyReturnTo() {
+            if (!returnToVerifier || !request.return_to) return findCurrentIdentity();
+
+            // 9.2.1. The outcome is only reported - it's up to the application what to do about it
+            returnToVerifier.verify(requestRealm || request.return_to, request.return_to, function(err, result) {
+                if (err) return internalError(err, next);
+
+                context.returnToVerification = result;
+                findCurrentIdentity();
+            });
+        }
+
+        // Who is logged in, if the application has said how to find out
+        function findCurrentIdentity() {
+            if (!currentIdentity) return checkConsent(undefined);
+
+            promises.invoke(currentIdentity, null, httpRequest.args || [], function(err, identity) {
+                if (err) return internalError(err, next);
+
+                checkConsent(identity || null);
+            });
+        }
+
+        // What the user has already agreed to, which tells checkAuth which attributes it still needs to ask about
+        function checkConsent(current) {
+            var identity = requestedIdentity.select ? current : requestedIdentity.expected;
+
+            if (!identity) return addPendingRequest(current);
+
+            consents.check(identity, consentRealm(request), requestedAttributes(context), function(err, consent) {
+                if (err) return internalError(err, next);
+
+                context.consent = consent;
+                addPendingRequest(current);
+            });
+        }
+
+        function addPendingRequest(current) {
+            pendingRequests.add(context, function(err, handle) {
+                if (err) return internalError(err, next);
+
+                context.handle = handle;
+
+                emitEvent('checkId', {
+                    request: request,
+                    interactive: interactive,
+                    realm: requestRealm,
+                    returnTo: request.return_to,
+                    identity: context.identity,
+                    extensions: Object.keys(context.extensionAliases),
+                    returnToVerification: context.returnToVerification
+                });
+
+                var answer = automaticAnswer(current);
+
+                if (answer === 'complete') return checkIdComplete(handle, { identity: current }, next);
+                if (answer === 'reject') return checkIdCancel(handle, {}, next);
+
+                startAuth();
+            });
+        }
+
+        // checkid_immediate can be answered without the application if it has said who is logged in. Without a
+        // user, or without their consent (including to any required AX attributes), the answer is no. With it,
+        // the answer is yes - unless an extension needs something from the application (e.g. attribute values),
+        // in which case checkAuth is still called
+        function automaticAnswer(current) {
+            if (interactive || !currentIdentity) return null;
+
+            var consent = context.consent;
+
+            if (!current || !consent || consent.identity !== current || !consent.granted) return 'reject';
+
+            var requiredNeeded = requestedAttributes(context).some(function(attribute) {
+                return attribute.required && consent.needed.indexOf(attribute.type) !== -1;
+            });
+
+            if (requiredNeeded) return 'reject';
+
+            return Object.keys(context.extensionAliases).length === 0 ? 'complete' : null;
+        }
+
+        function startAuth() {
+            var result;
+
+            try {
+                result = checkAuth.apply(null, (httpRequest.args || []).concat([interactive, context]));
+            } catch (e) {
+                return next(e);
             }
+
+            if (!result || typeof result.then !== 'function') return next(null, { pending: true, result: result });
+
+            // An async checkAuth. If it fails, the adapter passes the error on like any other
+            result.then(function(value) {
+                next(null, { pending: true, result: value });
+            }, function(err) {
+                next(err || new Error('checkAuth rejected without a reason'));
+            });
         }
+    }
 
-        var context = {
-            interactive: interactive,
-            request: request
+    function getRequestRealm(request) {
+        // OpenID 1.1 calls the realm a "trust root" (section 4.2.3)
+        return isOpenId1(request) ? request.trust_root : request.realm;
+    }
+
+    // 9.2. Without a realm, the return_to URL is used instead
+    function consentRealm(request) {
+        return getRequestRealm(request) || request.return_to;
+    }
+
+    // The AX attribute types the Relying Party is asking for (or asking to store)
+    function requestedAttributes(context) {
+        if (!context.ax) return [];
+
+        return context.ax.attributes.map(function(attribute) {
+            return { type: attribute.type, required: !!attribute.required };
+        });
+    }
+
+    function findExtension(name) {
+        for (var i = 0; i < extensions.length; i++) {
+            if (extensions[i].name === name) return extensions[i];
         }
+    }
+
+    function getExtensionRequest(request, extension) {
+        var extensionRequest = messageFactory.getExtension(request, extension.ns),
+            legacy = extension.legacy || [];
+
+        for (var i = 0; !extensionRequest && i < legacy.length; i++) {
+            extensionRequest = messageFactory.getExtension(request, legacy[i].ns, legacy[i].alias);
+        }
+
+        if (extensionRequest) extensionRequest.ns = request['ns.' + extensionRequest.alias];
+
+        return extensionRequest;
+    }
+
+    function parseRequestedIdentity(request) {
+        // 9.1. OpenID 1.x has no claimed identifiers; the identity is what the user typed (or was delegated from)
+        var claimedId = isOpenId1(request) ? request.identity : request.claimed_id,
+            localId = request.identity;
 
-        var axRequest = messageFactory.getExtension(request, OPENID_AX_NS);
-        if (axRequest) {
-            if (axRequest.fields.mode !== 'fetch_request') return sendIndirectResponseError(request, res, 'Unexpected attribute exchange mode');
-            context.ax = axRequest;
+        if (!claimedId !== !localId) return { error: 'claimed_id and identity must both be present or both absent' };
+        if ((claimedId === OPENID_IDENTIFIER_SELECT) !== (localId === OPENID_IDENTIFIER_SELECT)) {
+            return { error: 'claimed_id and identity must both be identifier_select, or neither' };
         }
 
-        checkAuth(req, res, interactive, context);
+        // The OP chooses the identity. An absent identity is treated the same way
+        if (!localId || localId === OPENID_IDENTIFIER_SELECT) return { select: true };
+
+        // The Relying Party has discovered a particular user. When the claimed identifier is different
+        // it belongs to the user (e.g. their own domain) and delegates to the OP-local identifier
+        var expected = urlToIdentity(localId);
+        if (expected === null) return { error: 'The identity is not managed by this provider: ' + localId };
+
+        return {
+            select: false,
+            claimedId: claimedId,
+            localId: localId,
+            delegated: claimedId !== localId,
+            expected: expected
+        };
+    }
+
+    function handleOf(context) {
+        return context ? context.handle : undefined;
+    }
+
+    // Finds the request being completed or rejected, which can't then be used again
+    function takePendingRequest(handle, next) {
+        pendingRequests.take(handleOf(handle) || handle, function(err, pending) {
+            if (err) return internalError(err, next);
+            if (!pending) return next(new Error('Unknown, expired or already used request handle'));
+
+            next(null, pending);
+        });
+    }
+
+    function checkIdCancel(handle, rejectOptions, next) {
+        takePendingRequest(handle, function(err, pending) {
+            if (err) return next(err);
+
+            // For compatibility, formPost can also be set on the context given instead of the handle
+            sendCancel(pending.context, !!(rejectOptions.formPost || handle && handle.formPost), next);
+        });
     }
 
-    function checkIdCancel(req, res, context) {
+    function sendCancel(context, formPost, next) {
         var request = context.request;
 
-        if (!request) return res.send(400);
+        var response = !context.interactive && isOpenId1(request) ? {
+                // OpenID 1.1, section 4.2.2.2
+                mode: 'id_res',
+                user_setup_url: userSetupUrl(request)
+            } : {
+                mode: context.interactive ? 'cancel' : 'setup_needed'
+            };
 
-        sendIndirectResponse(request, res, {
-            mode: context.interactive ? 'cancel' : 'setup_needed'
+        emitEvent('cancel', {
+            request: request,
+            response: response,
+            interactive: context.interactive,
+            realm: getRequestRealm(request),
+            returnTo: request.return_to
         });
+
+        sendIndirectResponse(request, response, next, formPost);
     }
 
-    function checkIdComplete(req, res, authResponse) {
-        var context = authResponse.context,
+    function userSetupUrl(request) {
+        // The same request, but allowing interaction with the user
+        var setupUrl = url.parse(providerEndpoint, true);
+
+        for (var field in request) {
+            setupUrl.query['openid.' + field] = request[field];
+        }
+        setupUrl.query['openid.mode'] = 'checkid_setup';
+        delete setupUrl.search;
+
+        return url.format(setupUrl);
+    }
+
+    function checkIdComplete(handle, authResponse, next) {
+        takePendingRequest(handle, function(err, pending) {
+            if (err) return next(err);
+
+            sendAssertion(pending, authResponse, next);
+        });
+    }
+
+    function sendAssertion(pending, authResponse, next) {
+        var context = pending.context,
             request = context.request,
             association,
             nonce = {
-                id: new Date().toISOString().slice(0, -5) + 'Z' + crypto.randomBytes(4).toString('hex'),
+                id: messageFactory.formatTimestamp(new Date()) + crypto.randomBytes(4).toString('hex'),
                 expiry: Date.now() + (nonceExpirySecs * 1000)
             };
 
-        if (!request) return res.send(400);
+        var requestedIdentity = context.identity || { select: true };
+
+        if (!requestedIdentity.select && authResponse.identity !== requestedIdentity.expected) {
+            // Nothing has been sent yet, so the application can reject the authentication instead
+            var err = new Error('The Relying Party asked about a different identity: ' + requestedIdentity.expected);
+            err.expected = requestedIdentity.expected;
+            return giveBack(err);
+        }
 
         var response = {
                 mode: 'id_res',
                 op_endpoint: providerEndpoint,
-                claimed_id: identityToUrl(authResponse.identity),
-                identity: identityToUrl(authResponse.identity),
+                claimed_id: requestedIdentity.select ? identityToUrl(authResponse.identity) : requestedIdentity.claimedId,
+                identity: requestedIdentity.select ? identityToUrl(authResponse.identity) : requestedIdentity.localId,
                 return_to: request.return_to,
                 response_nonce: nonce.id
             };
 
-        if (context.ax) {
-            var axResponse = authResponse.ax,
-                nsAlias = context.ax.alias;
-
-            // Preserve the namespace alias from the request. Nothing in the spec mandates this,
-            // but there are several broken RPs which expect it - notably some combination
-            // of Spring Security and OpenID4Java
-            response['ns.' + nsAlias] = OPENID_AX_NS;
-            response[nsAlias + '.mode'] = 'fetch_response';
-
-            for (var type in axResponse) {
-                var value = axResponse[type],
-                    alias;
-
-                // Preserve the type alias from the request. Nothing in the spec mandates this,
-                // but there are several broken RPs which expect it - notably some combination
-                // of Spring Security and OpenID4Java
-                for (var x in context.ax.fields) {
-                    if (x.slice(0, 5) === 'type.' && context.ax.fields[x] === type) {
-                        alias = x.substr(5);
-                        break;
-                    }
-                }
+        if (isOpenId1(request)) {
+            // OpenID 1.1, section 4.2.2.1. There are no claimed identifiers or OP endpoints
+            delete response.op_endpoint;
+            delete response.claimed_id;
+        }
 
-                if (!alias) continue; // Value wasn't requested, skip it
+        for (var name in context.extensionAliases) {
+            var extension = findExtension(name),
+                alias = context.extensionAliases[name];
 
-                response[nsAlias + '.type.' + alias] = type;
+            if (!extension) continue;  // The context came from before the extension was removed
 
-                if (util.isArray(value)) {
-                    response[nsAlias + '.count.' + alias] = value.length;
-                    for (var i = 0; i < value.length; i++) {
-                        response[nsAlias + '.value.' + alias + '.' + (i + 1)] = value[i];
-                    }
-                } else {
-                    response[nsAlias + '.value.' + alias] = value;
-                }
+            var fields;
+
+            try {
+                fields = extension.formatResponse(context[name], authResponse[name], request);
+            } catch (e) {
+                return giveBack(e);  // e.g. a required AX attribute is missing. Again, nothing has been sent
+            }
+
+            // Echo whichever namespace the request declared. OpenID 1.x Relying Parties which didn't declare
+            // one (e.g. SReg 1.0) won't expect one back
+            var extensionNs = request['ns.' + alias] || (isOpenId1(request) ? undefined : extension.ns);
+            if (extensionNs) response['ns.' + alias] = extensionNs;
+
+            for (var field in fields) {
+                response[alias + '.' + field] = fields[field];
             }
         }
 
@@ -435,8 +1081,8 @@ function OpenIDProvider(options) {
             var deleteHandle;
 
             if (request.assoc_handle) {
-                associationStore.get(request.assoc_handle, function(err, a) {
-                    if (err) return internalError(err, res, next);
+                getAssociation(request.assoc_handle, function(err, a) {
+                    if (err) return internalError(err, next);
 
                     var remove = false;
 
@@ -454,8 +1100,8 @@ function OpenIDProvider(options) {
                     }
 
                     if (remove) {
-                        associationStore.delete(request.assoc_handle, function(err) {
-                            if (err) return internalError(err, res, next);
+                        deleteAssociation(request.assoc_handle, function(err) {
+                            if (err) return internalError(err, next);
 
                             privateAssociation();
                         });
@@ -469,15 +1115,20 @@ function OpenIDProvider(options) {
         }
 
         function privateAssociation() {
-            if (!association) {
+            if (!association && privateAssociations) {
+                // Nothing to store - see lib/privateAssociations.js
+                association = privateAssociations.create(ASSOCIATION_TYPES[associationTypes[0]].algorithm, privateAssociationExpirySecs);
+                response.assoc_handle = association.handle;
+                signResponse();
+            } else if (!association) {
                 // Make a "private association". The spec is vague here. For example, how do we know the client supports the algorithm we choose?
-                createMac('HMAC-SHA256', function(err, macBuffer, hashAlgorithm) {
-                    if (err) return internalError(err, res, next);
+                createMac(associationTypes[0], function(err, macBuffer, hashAlgorithm) {
+                    if (err) return internalError(err, next);
 
-                    association = new Association(hashAlgorithm, macBuffer.toString('base64'), associationExpirySecs, true);
+                    association = new Association(hashAlgorithm, macBuffer.toString('base64'), privateAssociationExpirySecs, true);
 
                     associationStore.put(association, function(err) {
-                        if (err) return internalError(err, res, next);
+                        if (err) return internalError(err, next);
 
                         response.assoc_handle = association.handle;
                         signResponse();
@@ -490,6 +1141,8 @@ function OpenIDProvider(options) {
         }
 
         function signResponse() {
+            if (!isOpenId1(request)) response.ns = OPENID_NS;  // 5.1.2
+
             var hmac = crypto.createHmac(association.algorithm, new Buffer(association.secret, 'base64'));
             var message = messageFactory.toForm(response);
 
@@ -502,46 +1155,168 @@ function OpenIDProvider(options) {
         }
 
         function sendResponse() {
+            // Remember which association signed the response so check_authentication can't be fooled into
+            // using the nonce with a different one
+            nonce.assocHandle = association.handle;
+
             nonceStore.put(nonce, function(err) {
-                if (err) return internalError(err, res, next);
-                sendIndirectResponse(request, res, response);
+                if (err) return internalError(err, next);
+
+                emitEvent('assertion', {
+                    request: request,
+                    response: response,
+                    identity: authResponse.identity,
+                    claimedId: response.claimed_id || response.identity,
+                    realm: getRequestRealm(request),
+                    returnTo: request.return_to,
+                    assocHandle: association.handle,
+                    privateAssociation: association.private
+                });
+
+                var formPost = authResponse.formPost || (authResponse.context && authResponse.context.formPost);
+
+                recordConsent(function(err) {
+                    if (err) return internalError(err, next);
+
+                    sendIndirectResponse(request, response, next, !!formPost);
+                });
+            });
+        }
+
+        // authResponse.consent is true (or { attributes, expirySecs }) if the user has agreed to this again next
+        // time. By default, the consent covers the AX attributes being sent
+        function recordConsent(done) {
+            if (!authResponse.consent) return done(null);
+
+            var consentOptions = authResponse.consent === true ? {} : authResponse.consent;
+
+            consents.grant(authResponse.identity, consentRealm(request), {
+                attributes: consentOptions.attributes || releasedAttributes(),
+                expirySecs: consentOptions.expirySecs
+            }, done);
+        }
+
+        function releasedAttributes() {
+            var axResponse = authResponse.ax || {};
+
+            return requestedAttributes(context).map(function(attribute) {
+                return attribute.type;
+            }).filter(function(type) {
+                var value = axResponse[type];
+                return value !== undefined && value !== null && !(util.isArray(value) && value.length === 0);
+            });
+        }
+
+        function giveBack(err) {
+            // The handle can still be used to reject the request, or to try again
+            pendingRequests.restore(pending, function(restoreErr) {
+                if (restoreErr) return internalError(restoreErr, next);
+
+                next(err);
             });
         }
 
         checkAssociation();
     }
 
-    function checkAuthentication(request, req, res, next) {
-        function error() {
-            sendDirectResponse(res, {
-                is_valid: 'false'
+    // Private associations made from a master key aren't in the store - everything needed is in the handle
+    function getAssociation(handle, next) {
+        if (privateAssociations && privateAssociations.isHandle(handle)) return next(null, privateAssociations.find(handle));
+
+        associationStore.get(handle, next);
+    }
+
+    function deleteAssociation(handle, next) {
+        if (privateAssociations && privateAssociations.isHandle(handle)) return next(null);
+
+        associationStore.delete(handle, next);
+    }
+
+    function nonceTimestampAcceptable(nonce) {
+        // 10.1 - an RFC3339 UTC timestamp without fractional seconds, then up to 255 printable ASCII characters
+        var match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})Z[\x21-\x7e]{0,255}$/.exec(nonce);
+
+        if (!match) return false;
+
+        var timestamp = Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]),
+            now = Date.now();
+
+        if (isNaN(timestamp)) return false;
+
+        // Allow for the clocks of other nodes in a cluster being a little out. Anything older than the nonce
+        // lifetime would have expired anyway
+        if (timestamp > now + (nonceClockSkewSecs * 1000)) return false;
+        if (timestamp < now - ((nonceExpirySecs + nonceClockSkewSecs) * 1000)) return false;
+
+        return true;
+    }
+
+    function checkAuthentication(request, next) {
+        function error(reason) {
+            respond(false, reason);
+        }
+
+        function respond(isValid, reason) {
+            var response = {
+                is_valid: isValid
+            };
+
+            if (!request.invalidate_handle) return send();
+
+            // 11.4.2.2 - tell the RP if the association it would have used is no longer any good
+            getAssociation(request.invalidate_handle, function(err, association) {
+                if (err) return internalError(err, next);
+
+                if (!association || association.private || association.expiry < Date.now()) {
+                    response.invalidate_handle = request.invalidate_handle;
+                }
+
+                send();
             });
+
+            function send() {
+                emitEvent('checkAuthentication', {
+                    request: request,
+                    response: response,
+                    assocHandle: request.assoc_handle,
+                    nonce: request.response_nonce,
+                    isValid: isValid,
+                    reason: reason,
+                    invalidateHandle: response.invalidate_handle
+                });
+
+                sendDirectResponse(request, response, next);
+            }
         }
 
-        if (!request.assoc_handle) return error();
-        if (!request.response_nonce) return error();
+        if (!request.assoc_handle) return error('No association handle');
+        if (!request.response_nonce) return error('No nonce');
+        if (!nonceTimestampAcceptable(request.response_nonce)) return error('Nonce timestamp not acceptable');
 
         nonceStore.getAndDelete(request.response_nonce, function(err, nonce) {
-            if (err) return internalError(err, res, next);
-
-            if (!nonce) return error();
+            if (err) return internalError(err, next);
 
-            // TODO - should check nonce expiry
+            if (!nonce) return error('Nonce not found');
+            if (nonce.expiry < Date.now()) return error('Nonce expired');
+            if (nonce.assocHandle !== request.assoc_handle) return error('Nonce issued with a different association');
 
-            associationStore.get(request.assoc_handle, function(err, association) {
-                if (err) return internalError(err, res, next);
+            getAssociation(request.assoc_handle, function(err, association) {
+                if (err) return internalError(err, next);
 
-                if (!association) return error();
-                if (!association.private) return error();
+                if (!association) return error('Association not found');
+                if (!association.private) return error('Association is not private');
 
                 if (association.expiry < Date.now()) {
-                    associationStore.delete(request.assoc_handle, function(err) {
-                        if (err) return internalError(err, res, next);
+                    return deleteAssociation(request.assoc_handle, function(err) {
+                        if (err) return internalError(err, next);
 
-                        return error();
+                        error('Association expired');
                     });
                 }
 
+                var unsigned = unsignedFieldError(request, isOpenId1(request));
+                if (unsigned) return error(unsigned);
+
                 request.mode = 'id_res';  // If the mode is signed, it needs the same value as previously
 
                 var hmac = crypto.createHmac(association.algorithm, new Buffer(association.secret, 'base64'));
@@ -551,60 +1326,272 @@ function OpenIDProvider(options) {
 
                 var sig = hmac.digest('base64');
 
-                sendDirectResponse(res, {
-                    is_valid: sig === request.sig
-                });
+                respond(sig === request.sig, sig === request.sig ? undefined : 'Signature mismatch');
             });
         });
     }
 
-    function sendIndirectResponseError(request, res, message) {
-        // 5.2.3
+    function sendIndirectResponseError(request, message, next, details) {
+        // 5.2.3. details can add a contact and a reference
         var response = {
             mode: 'error',
             error: message
         }
 
-        sendIndirectResponse(request, res, response);
+        if (details && details.contact) response.contact = details.contact;
+        if (details && details.reference) response.reference = details.reference;
+
+        emitEvent('requestRejected', {
+            request: request,
+            response: response,
+            error: message,
+            realm: getRequestRealm(request),
+            returnTo: request.return_to
+        });
+
+        sendIndirectResponse(request, response, next);
     }
 
-    function sendIndirectResponse(request, res, response) {
-        if (!request.return_to || !validUrl.isWebUri(request.return_to)) {
-            // No return_to, or not a valid URL.
-            return res.send(400, 'Invalid return_to parameter');
+    function sendIndirectResponse(request, response, next, formPost) {
+        if (typeof request.return_to !== 'string' || !validUrl.isWebUri(request.return_to)) {
+            // No return_to (or more than one), or not a valid URL.
+            return next(null, textResponse(400, 'Invalid return_to parameter'));
         }
 
         // TODO some or all of this belongs in messageFactory
 
-        var returnToUrl = url.parse(request.return_to, true);  // 5.2.3
+        var fields = {};
 
-        returnToUrl.query['openid.ns'] = OPENID_NS;
+        if (!isOpenId1(request)) fields['openid.ns'] = OPENID_NS;
         for (var field in response) {
             // 4.1.3
-            returnToUrl.query['openid.' + field] = response[field];
+            fields['openid.' + field] = response[field];
+        }
+
+        var returnToUrl = url.parse(request.return_to, true);  // 5.2.3
+
+        for (var field in fields) {
+            returnToUrl.query[field] = fields[field];
         }
         delete returnToUrl.search;
 
-        res.redirect(302, url.format(returnToUrl));  // 5.2.1
+        var location = url.format(returnToUrl);
+
+        // 5.2.2. Browsers (and servers) limit the length of URLs, so large responses (e.g. lots of AX attributes)
+        // are posted instead. The application can also ask for this with formPost in the authResponse, or in the
+        // options to rejectAuth
+        if (formPost || location.length > maxRedirectUrlLength) return next(null, formPostResponse(request.return_to, fields));
+
+        next(null, {  // 5.2.1
+            status: 302,
+            headers: { 'Location': location },
+            body: ''
+        });
+    }
+
+    function formPostResponse(action, fields) {
+        var nonce = crypto.randomBytes(16).toString('base64'),
+            inputs = Object.keys(fields).map(function(field) {
+                return util.format(FORM_POST_INPUT_TEMPLATE, escapeMarkup(field), escapeMarkup(fields[field]));
+            }).join('');
+
+        var form = {
+            action: action,
+            fields: fields,
+            inputs: inputs,
+            nonce: nonce
+        };
+
+        var body = typeof formPostTemplate === 'function' ? formPostTemplate(form) :
+                   formPostTemplate.replace(/\{(action|inputs|nonce)\}/g, function(match, name) {
+                       return name === 'action' ? escapeMarkup(action) : form[name];
+                   });
+
+        return {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Content-Security-Policy': "default-src 'none'; script-src 'nonce-" + nonce + "'",
+                'Cache-Control': 'no-store'
+            },
+            body: body
+        };
     }
 
-    function sendDirectResponseError(res, response) {
+    function sendDirectResponseError(request, response, next) {
         // 5.1.2.2
-        res.status(400);
-        sendDirectResponse(res, response);
+        emitEvent('requestRejected', {
+            request: request,
+            response: response,
+            error: response.error
+        });
+
+        sendDirectResponse(request, response, next, 400);
+    }
+
+    function sendDirectResponse(request, response, next, status) {
+        if (!isOpenId1(request)) response.ns = OPENID_NS;  // 5.1.2
+
+        next(null, textResponse(status || 200, messageFactory.toForm(response).body));  // 5.1.2
     }
 
-    function sendDirectResponse(res, response) {
-        res.type('text/plain');  // 5.1.2
-        res.send(messageFactory.toForm(response).body);
+    function textResponse(status, body) {
+        return {
+            status: status,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+            body: body
+        };
     }
 
-    function internalError(err, res, next) {
-        // Return a 500 to the caller and pass the error to the Express error handler
-        res.type('text/plain');
-        res.send(500, err.message || err);
+    function internalError(err, next) {
+        // Not 'error', which would throw if nobody is listening
+        emitEvent('internalError', {
+            error: err
+        });
+
+        // The adapter decides what to send
         next(err);
     }
+
+    function recordMetrics(name, event) {
+        if (name === 'association') {
+            metrics.associations.inc({ assoc_type: event.assocType, session_type: event.sessionType });
+        } else if (name === 'assertion') {
+            metrics.assertions.inc({ result: 'positive' });
+        } else if (name === 'cancel') {
+            metrics.assertions.inc({ result: 'negative' });
+        } else if (name === 'checkAuthentication') {
+            metrics.checkAuthentications.inc({ result: event.isValid ? 'valid' : 'invalid' });
+        } else if (name === 'requestRejected') {
+            // Anything could turn up as the mode, so only known modes get their own series
+            metrics.rejectedRequests.inc({ mode: KNOWN_MODES.indexOf(event.request.mode) === -1 ? 'other' : event.request.mode });
+        } else if (name === 'internalError') {
+            metrics.internalErrors.inc();
+        }
+    }
+
+    function instrumentStore(store, storeName) {
+        var instrumented = {
+            close: function() {
+                if (store.close) store.close();
+            }
+        };
+
+        STORE_OPERATIONS.forEach(function(operation) {
+            if (typeof store[operation] !== 'function') return;
+
+            instrumented[operation] = function() {
+                var args = Array.prototype.slice.call(arguments),
+                    next = args.pop(),
+                    labels = { store: storeName, operation: operation },
+                    done = metrics.storeDuration.startTimer(labels);
+
+                // Stores can either call back or return a promise
+                promises.invoke(store[operation], store, args, function(err, result) {
+                    done();
+                    if (err) metrics.storeErrors.inc(labels);
+                    next(err, result);
+                });
+            }
+        });
+
+        return instrumented;
+    }
+
+    function emitEvent(name, event) {
+        recordMetrics(name, event);
+
+        if (EventEmitter.listenerCount(self, name) === 0) return;
+
+        // Listeners get copies of the messages, so they can't interfere with them and never see secrets
+        if (event.request) event.request = redact(event.request);
+        if (event.response) event.response = redact(event.response);
+        event.time = new Date();
+
+        self.emit(name, event);
+    }
+}
+
+util.inherits(OpenIDProvider, EventEmitter);
+
+// A list of association or session types, in order of preference, checked against the known ones
+function supportedTypes(types, known, kind) {
+    if (!util.isArray(types) || types.length === 0) throw new Error('At least one ' + kind + ' type is required');
+
+    types.forEach(function(type) {
+        if (!known.hasOwnProperty(type)) throw new Error('Unknown ' + kind + ' type: ' + type);
+    });
+
+    return types.slice();
+}
+
+// 8.4.2. Diffie-Hellman sessions can only carry MAC keys the length of their hash
+function compatibleTypes(sessionType, assocType) {
+    return SESSION_TYPES[sessionType] === null || SESSION_TYPES[sessionType] === ASSOCIATION_TYPES[assocType].algorithm;
+}
+
+// 8.1.2. What's wrong with the Relying Party's Diffie-Hellman parameters, if anything
+function diffieHellmanParametersError(request) {
+    if (!request.dh_consumer_public) return 'No dh_consumer_public';
+    if (!isBase64(request.dh_consumer_public)) return 'Invalid dh_consumer_public';
+
+    if (request.dh_modulus !== undefined) {
+        if (!isBase64(request.dh_modulus)) return 'Invalid dh_modulus';
+        // btwoc (4.2) puts a zero byte in front of moduli with the top bit set
+        var modulus = Buffer.from(request.dh_modulus, 'base64');
+        if (modulus.length - (modulus[0] === 0 ? 1 : 0) > MAX_DH_MODULUS_BYTES) return 'dh_modulus is too large';
+    }
+
+    if (request.dh_gen !== undefined && !isBase64(request.dh_gen)) return 'Invalid dh_gen';
+}
+
+function unsignedFieldError(request, openId1) {
+    // 10.1 - OpenID 1.x assertions have no op_endpoint. Skylith always signs response_nonce
+    if (typeof request.signed !== 'string') return 'No signed fields';
+
+    var signed = request.signed.split(/,/),
+        required = (openId1 ? [] : ['op_endpoint']).concat(['return_to', 'response_nonce', 'assoc_handle']);
+
+    if (request.claimed_id !== undefined) required.push('claimed_id');
+    if (request.identity !== undefined) required.push('identity');
+
+    for (var i = 0; i < required.length; i++) {
+        if (signed.indexOf(required[i]) === -1) return required[i] + ' is not signed';
+    }
+}
+
+function isBase64(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9+\/]+={0,2}$/.test(value);
+}
+
+function redact(message) {
+    var copy = {};
+
+    for (var field in message) {
+        copy[field] = SECRET_FIELDS.indexOf(field) === -1 ? message[field] : '[redacted]';
+    }
+
+    return copy;
+}
+
+function escapeMarkup(value) {
+    // For values interpolated into the HTML and XRDS discovery documents
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 exports = module.exports = OpenIDProvider;
+
+exports.MemoryAssociationStore = MemoryAssociationStore;
+exports.MemoryNonceStore = MemoryNonceStore;
+exports.FileAssociationStore = FileAssociationStore;
+exports.FileNonceStore = FileNonceStore;
+exports.MemoryPendingRequestStore = MemoryPendingRequestStore;
+exports.FilePendingRequestStore = FilePendingRequestStore;
+exports.MemoryConsentStore = MemoryConsentStore;
+exports.FileConsentStore = FileConsentStore;
+exports.extensions = BUILT_IN_EXTENSIONS;
+exports.adapters = {
+    connect: connectAdapter,
+    http: httpAdapter,
+    koa: koaAdapter
+};
@@ -0,0 +1,69 @@
+// Copyright 2013-2014 Danny Yates
+
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+
+//        http://www.apache.org/licenses/LICENSE-2.0
+
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+// Replaces lib/publicSuffixList.js with the current Public Suffix List. Run with:
+//   npm run update-public-suffix-list [-- a-downloaded-copy.dat]
+var fs = require('fs'),
+    https = require('https'),
+    path = require('path');
+
+var LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat',
+    OUTPUT = path.join(__dirname, '..', 'lib', 'publicSuffixList.js'),
+    MIN_RULES = 5000;  // Far fewer means something went wrong
+
+// The list's own licence, rather than the project's
+var HEADER = '// The Public Suffix List, from ' + LIST_URL + '\n\n\
+// This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was\n\
+// not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.\n\n\
+// Only the rules are kept. Generated by scripts/updatePublicSuffixList.js - don\'t edit it by hand\n';
+
+if (process.argv[2]) {
+    write(fs.readFileSync(process.argv[2], 'utf8'));
+} else {
+    https.get(LIST_URL, function(res) {
+        if (res.statusCode !== 200) fail(LIST_URL + ' gave ' + res.statusCode);
+
+        var chunks = [];
+
+        res.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        res.on('end', function() {
+            write(Buffer.concat(chunks).toString('utf8'));
+        });
+    }).on('error', function(err) {
+        fail(err.message);
+    });
+}
+
+function write(list) {
+    var rules = list.split('\n').map(function(line) {
+        return line.trim().split(/\s/)[0];
+    }).filter(function(rule) {
+        return rule && rule.slice(0, 2) !== '//';
+    });
+
+    if (rules.length < MIN_RULES) fail('Only ' + rules.length + ' rules found');
+
+    fs.writeFileSync(OUTPUT, HEADER + 'module.exports = [\n' + rules.map(function(rule) {
+        return '    ' + JSON.stringify(rule);
+    }).join(',\n') + '\n].join(\'\\n\');\n');
+
+    console.log('Wrote %d rules to %s', rules.length, OUTPUT);
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
@@ -0,0 +1,258 @@
+var http = require('http'),
+    url = require('url'),
+    express = require('express'),
+    cheerio = require('cheerio'),
+    request = require('supertest'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    endpoint = testHelper.endpoint,
+    Skylith = require('../skylith');
+
+var OPENID_NS = 'http://specs.openid.net/auth/2.0';
+
+// Without checkAuth, a checkid request is an error
+function createProvider(checkAuth) {
+    return testHelper.withOptions({ checkAuth: checkAuth }).provider;
+}
+
+function checkIdQuery() {
+    return {
+        'openid.ns': OPENID_NS,
+        'openid.mode': 'checkid_setup',
+        'openid.return_to': 'http://localhost/here'
+    };
+}
+
+describe('Adapters', function() {
+    describe('http', function() {
+        it('serves discovery at the path of the provider endpoint', function(done) {
+            var server = http.createServer(createProvider().http());
+
+            request(server).get('/openid')
+                .accept('text/html')
+                .expect(200)
+                .expect('Content-Type', 'text/html')
+                .expect(function(res) {
+                    var $ = cheerio.load(res.text);
+                    assert.equal($('html>head>link[rel="openid2.provider"]').attr('href'), endpoint);
+                })
+                .end(done);
+        });
+
+        it('parses form posts itself', function(done) {
+            var server = http.createServer(createProvider().http());
+
+            request(server).post('/openid')
+                .type('form')
+                .send({ 'openid.ns': OPENID_NS, 'openid.mode': 'associate', 'openid.session_type': 'no-encryption' })
+                .expect(400)
+                .expect('Content-Type', 'text/plain; charset=utf-8')
+                .expect(/error:Cannot create a "no-encryption" session without using HTTPS\n/)
+                .end(done);
+        });
+
+        it('passes req and res to checkAuth', function(done) {
+            var provider = createProvider(function(req, res, interactive, context) {
+                    provider.completeAuth(req, res, { context: context, identity: 'bob' });
+                }),
+                server = http.createServer(provider.http());
+
+            request(server).get('/openid')
+                .query(checkIdQuery())
+                .expect(302)
+                .expect(function(res) {
+                    var query = url.parse(res.get('Location'), true).query;
+                    assert.equal(query['openid.mode'], 'id_res');
+                    assert.equal(query['openid.identity'], testHelper.identity('bob'));
+                })
+                .end(done);
+        });
+
+        it('sends a 404 for anything outside the mount path', function(done) {
+            var server = http.createServer(createProvider().http());
+
+            request(server).get('/elsewhere')
+                .expect(404)
+                .end(done);
+        });
+
+        it('passes requests which are not for Skylith to next, if there is one', function(done) {
+            var handler = createProvider().http(),
+                server = http.createServer(function(req, res) {
+                    handler(req, res, function() {
+                        res.end('next');
+                    });
+                });
+
+            request(server).get('/openid/login')
+                .expect(200, 'next')
+                .end(done);
+        });
+    });
+
+    describe('connect', function() {
+        it('reads the body when no body parser has', function(done) {
+            var provider = createProvider(),
+                middleware = provider.connect(),
+                server = http.createServer(function(req, res) {
+                    req.originalUrl = req.url;
+                    req.url = req.url.substr('/openid'.length) || '/';
+                    middleware(req, res, function(err) {
+                        res.statusCode = err ? 500 : 404;
+                        res.end();
+                    });
+                });
+
+            request(server).post('/openid')
+                .type('form')
+                .send({ 'openid.ns': OPENID_NS, 'openid.mode': 'badmode' })
+                .expect(400)
+                .expect(/error:Unknown or unsupported direct request\n/)
+                .end(done);
+        });
+
+        it('leaves form posts it has read for body parsers further down the chain', function(done) {
+            var app = express();
+
+            app.use(createProvider().express());
+            app.use(express.urlencoded());
+            app.post('/login', function(req, res) {
+                res.send('Hello ' + req.body.name);
+            });
+
+            request(app).post('/login')
+                .type('form')
+                .send({ name: 'bob' })
+                .expect(200, 'Hello bob')
+                .end(done);
+        });
+
+        it('leaves other bodies alone', function(done) {
+            var app = express();
+
+            app.use(createProvider().express());
+            app.use(express.json());
+            app.post('/login', function(req, res) {
+                res.send('Hello ' + req.body.name);
+            });
+
+            request(app).post('/login')
+                .send({ name: 'bob' })
+                .expect(200, 'Hello bob')
+                .end(done);
+        });
+    });
+
+    describe('koa', function() {
+        function createContext(path, query) {
+            var headers = {},
+                ctx = {
+                    method: 'GET',
+                    url: path + (query ? url.format({ query: query }) : ''),
+                    headers: { accept: 'text/html' },
+                    secure: false,
+                    request: { body: {} },
+                    set: function(name, value) {
+                        headers[name] = value;
+                    },
+                    responseHeaders: headers
+                };
+
+            ctx.originalUrl = '/openid' + ctx.url;
+            return ctx;
+        }
+
+        it('sets the response on the context', function(done) {
+            var ctx = createContext('/');
+
+            createProvider().koa()(ctx, function() {
+                throw new Error('next should not be called');
+            }).then(function() {
+                assert.equal(ctx.status, 200);
+                assert.equal(ctx.responseHeaders['Content-Type'], 'text/html');
+                assert.include(ctx.body, '<link rel="openid2.provider" href="' + endpoint + '">');
+            }).then(done, done);
+        });
+
+        it('calls next for requests which are not for Skylith', function(done) {
+            var ctx = createContext('/login'),
+                called = false;
+
+            createProvider().koa()(ctx, function() {
+                called = true;
+                return Promise.resolve();
+            }).then(function() {
+                assert.isTrue(called);
+                assert.isUndefined(ctx.status);
+            }).then(done, done);
+        });
+
+        it('waits for checkAuth', function(done) {
+            var ctx = createContext('/', checkIdQuery()),
+                provider = createProvider(function(ctx, interactive, context) {
+                    return new Promise(function(resolve, reject) {
+                        setTimeout(function() {
+                            provider.completeAuthResponse({ context: context, identity: 'bob' }, function(err, response) {
+                                if (err) return reject(err);
+
+                                Skylith.adapters.koa.send(ctx, response);
+                                resolve();
+                            });
+                        }, 10);
+                    });
+                });
+
+            provider.koa()(ctx, function() {
+                throw new Error('next should not be called');
+            }).then(function() {
+                assert.equal(ctx.status, 302);
+                assert.equal(url.parse(ctx.responseHeaders['Location'], true).query['openid.mode'], 'id_res');
+            }).then(done, done);
+        });
+    });
+
+    describe('core', function() {
+        it('describes responses without writing them', function(done) {
+            createProvider().handleRequest({
+                method: 'GET',
+                url: '/',
+                headers: { accept: 'application/xrds+xml' },
+                secure: false
+            }, function(err, response) {
+                if (err) return done(err);
+
+                assert.equal(response.status, 200);
+                assert.equal(response.headers['Content-Type'], 'application/xrds+xml');
+                assert.include(response.body, '<URI>' + endpoint + '</URI>');
+                done();
+            });
+        });
+
+        it('passes the internal error to the adapter', function(done) {
+            var provider = testHelper.withOptions({
+                nonceStore: {
+                    put: function(nonce, next) { next(null); },
+                    getAndDelete: function(id, next) { next(new Error('Nonce store unavailable')); }
+                }
+            }).provider;
+
+            provider.handleRequest({
+                method: 'POST',
+                url: '/',
+                headers: {},
+                body: {
+                    'openid.ns': OPENID_NS,
+                    'openid.mode': 'check_authentication',
+                    'openid.assoc_handle': 'nonsense',
+                    'openid.response_nonce': new Date().toISOString().slice(0, -5) + 'Zabc'
+                }
+            }, function(err, response) {
+                assert.equal(err.message, 'Nonce store unavailable');
+                assert.isUndefined(response);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,296 @@
+var crypto = require('crypto'),
+    url = require('url'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth,
+    error = testHelper.error,
+    Skylith = require('../skylith');
+
+var OPENID_NS = 'http://specs.openid.net/auth/2.0',
+    DH_MODULUS_HEX = 'DCF93A0B883972EC0E19989AC5A2CE310E1D37717E8D9571BB7623731866E61E' +
+                     'F75A2E27898B057F9891C2E27A639C3F29B60814581CD3B2CA3986D268370557' +
+                     '7D45C2E7E52DC81C7A171876E5CEA74B1448BFDFAF18828EFD2519F14E45E382' +
+                     '6634AF1949E5B535CC829A483B8A76223E5D490A257F05BDFF16F2FB22C583AB';
+
+function associate(provider, assocType, sessionType) {
+    return provider.post('/openid', {
+        mode: 'associate',
+        assoc_type: assocType,
+        session_type: sessionType,
+        dh_consumer_public: crypto.createDiffieHellman(DH_MODULUS_HEX, 'hex').generateKeys('base64')
+    });
+}
+
+// Straight to the core, for requests which came over HTTPS
+function secureAssociate(provider, fields, next) {
+    var body = { 'openid.ns': OPENID_NS, 'openid.mode': 'associate' };
+
+    for (var key in fields) {
+        body['openid.' + key] = fields[key];
+    }
+
+    provider.handleRequest({ method: 'POST', url: '/', headers: {}, secure: true, body: body }, function(err, response) {
+        if (err) return next(err);
+
+        next(null, response.status, parseDirect(response.body));
+    });
+}
+
+// 8.2.3
+function decryptMacKey(consumer, fields) {
+    var secret = consumer.computeSecret(fields['openid.dh_server_public'], 'base64'),
+        hash = crypto.createHash('sha256').update(secret[0] & 0x80 ? Buffer.concat([Buffer.from([0]), secret]) : secret).digest(),
+        encrypted = Buffer.from(fields['openid.enc_mac_key'], 'base64');
+
+    return Buffer.from(encrypted.map(function(byte, i) { return byte ^ hash[i]; }));
+}
+
+function parseDirect(body) {
+    var fields = {};
+
+    body.split('\n').forEach(function(line) {
+        var colon = line.indexOf(':');
+        if (colon !== -1) fields[line.slice(0, colon)] = line.slice(colon + 1);
+    });
+
+    return fields;
+}
+
+describe('Association and session types', function() {
+    it('can be disabled', function(done) {
+        associate(testHelper.withOptions({ associationTypes: ['HMAC-SHA256'] }), 'HMAC-SHA1', 'DH-SHA1')
+            .expect(error('Association type not supported: HMAC-SHA1'))
+            .expect(openIdFields({
+                error_code: 'unsupported-type',
+                session_type: 'DH-SHA256',
+                assoc_type: 'HMAC-SHA256'
+            }))
+            .end(done);
+    });
+
+    it('suggest the most preferred types', function(done) {
+        associate(testHelper.withOptions({ associationTypes: ['HMAC-SHA1', 'HMAC-SHA256'], sessionTypes: ['DH-SHA1', 'DH-SHA256'] }),
+                  'HMAC-SHA256', 'DH-SHA512')
+            .expect(error('Session type not recognised: DH-SHA512'))
+            .expect(openIdFields({
+                session_type: 'DH-SHA1',
+                assoc_type: 'HMAC-SHA1'
+            }))
+            .end(done);
+    });
+
+    it('refuse disabled session types', function(done) {
+        associate(testHelper.withOptions({ sessionTypes: ['DH-SHA256'] }), 'HMAC-SHA1', 'DH-SHA1')
+            .expect(error('Session type not supported: DH-SHA1'))
+            .expect(openIdFields({
+                session_type: 'DH-SHA256',
+                assoc_type: 'HMAC-SHA256'
+            }))
+            .end(done);
+    });
+
+    it('must have a Diffie-Hellman hash as long as the MAC key', function(done) {
+        associate(testHelper, 'HMAC-SHA256', 'DH-SHA1')
+            .expect(error('Session type DH-SHA1 cannot be used with HMAC-SHA256'))
+            .expect(openIdFields({
+                session_type: 'DH-SHA256',
+                assoc_type: 'HMAC-SHA256'
+            }))
+            .end(done);
+    });
+
+    it('suggest no-encryption over HTTPS if it is preferred', function(done) {
+        var provider = new Skylith({
+            providerEndpoint: testHelper.endpoint,
+            checkAuth: function() {},
+            sessionTypes: ['no-encryption', 'DH-SHA256']
+        });
+
+        secureAssociate(provider, { assoc_type: 'HMAC-SHA512', session_type: 'no-encryption' }, function(err, status, fields) {
+            if (err) return done(err);
+
+            assert.equal(status, 400);
+            assert.equal(fields.error, 'Association type not recognised: HMAC-SHA512');
+            assert.equal(fields.session_type, 'no-encryption');
+            assert.equal(fields.assoc_type, 'HMAC-SHA256');
+            done();
+        });
+    });
+
+    it('refuse no-encryption sessions over HTTPS once disabled', function(done) {
+        var provider = new Skylith({
+            providerEndpoint: testHelper.endpoint,
+            checkAuth: function() {},
+            sessionTypes: ['DH-SHA256']
+        });
+
+        secureAssociate(provider, { assoc_type: 'HMAC-SHA256', session_type: 'no-encryption' }, function(err, status, fields) {
+            if (err) return done(err);
+
+            assert.equal(status, 400);
+            assert.equal(fields.error, 'Session type not supported: no-encryption');
+            done();
+        });
+    });
+
+    it('leave out the suggestion when nothing would do', function(done) {
+        testHelper.withOptions({ openId1Compatibility: true, associationTypes: ['HMAC-SHA256'] }).post('/openid', {
+                ns: null,
+                mode: 'associate',
+                session_type: 'DH-SHA1'
+            })
+            .expect(error('Association type not supported: HMAC-SHA1'))
+            .expect(function(res) {
+                assert.equal(res.resParams['openid.error_code'], 'unsupported-type');
+                assert.notProperty(res.resParams, 'openid.session_type');
+                assert.notProperty(res.resParams, 'openid.assoc_type');
+            })
+            .end(done);
+    });
+
+    it('must be known', function() {
+        assert.throws(function() {
+            new Skylith({ providerEndpoint: testHelper.endpoint, checkAuth: function() {}, associationTypes: ['HMAC-MD5'] });
+        }, 'Unknown association type: HMAC-MD5');
+        assert.throws(function() {
+            new Skylith({ providerEndpoint: testHelper.endpoint, checkAuth: function() {}, sessionTypes: [] });
+        }, 'At least one session type is required');
+    });
+});
+
+describe('Diffie-Hellman parameters', function() {
+    function associateWith(fields) {
+        var params = { mode: 'associate', assoc_type: 'HMAC-SHA256', session_type: 'DH-SHA256' };
+
+        for (var key in fields) {
+            params[key] = fields[key];
+        }
+
+        return testHelper.post('/openid', params);
+    }
+
+    it('must include the consumer public key', function(done) {
+        associateWith({})
+            .expect(error('No dh_consumer_public'))
+            .end(done);
+    });
+
+    it('must be base64', function(done) {
+        associateWith({ dh_consumer_public: 'not base64!' })
+            .expect(error('Invalid dh_consumer_public'))
+            .end(done);
+    });
+
+    it('cannot have an enormous modulus', function(done) {
+        associateWith({ dh_consumer_public: 'Ag==', dh_modulus: crypto.randomBytes(2048).toString('base64') })
+            .expect(error('dh_modulus is too large'))
+            .end(done);
+    });
+
+    it('can have a 2048 bit modulus', function(done) {
+        var consumer = crypto.getDiffieHellman('modp14'),
+            prime = consumer.getPrime();
+
+        associateWith({ dh_consumer_public: consumer.generateKeys('base64'),
+                        dh_modulus: Buffer.concat([Buffer.from([0]), prime]).toString('base64') })
+            .expect(200)
+            .expect(function(res) {
+                assert.ok(res.resParams['openid.enc_mac_key']);
+            })
+            .end(done);
+    });
+
+    it('cannot have a modulus of more than 2048 bits', function(done) {
+        associateWith({ dh_consumer_public: 'Ag==', dh_modulus: crypto.getDiffieHellman('modp15').getPrime('base64') })
+            .expect(error('dh_modulus is too large'))
+            .end(done);
+    });
+
+    it('must make sense to OpenSSL', function(done) {
+        associateWith({ dh_consumer_public: 'AA==' })
+            .expect(error('Invalid Diffie-Hellman parameters'))
+            .end(done);
+    });
+
+    it('can use a different generator', function(done) {
+        var consumer = crypto.createDiffieHellman(DH_MODULUS_HEX, 'hex', Buffer.from([5]));
+
+        associateWith({ dh_consumer_public: consumer.generateKeys('base64'), dh_gen: 'BQ==' }).end(function(err, res) {
+            if (err) return done(err);
+
+            var macKey = decryptMacKey(consumer, res.resParams);
+
+            // The MAC key only signs the assertion if both sides agreed on the shared secret
+            testHelper.get('/openid', {
+                    mode: 'checkid_setup',
+                    assoc_handle: res.resParams['openid.assoc_handle'],
+                    return_to: 'http://localhost/here'
+                })
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true
+                }))
+                .expect(function(res) {
+                    var hmac = crypto.createHmac('sha256', macKey);
+
+                    res.resParams['openid.signed'].split(',').forEach(function(field) {
+                        hmac.update(field + ':' + res.resParams['openid.' + field] + '\n');
+                    });
+
+                    assert.equal(res.resParams['openid.sig'], hmac.digest('base64'));
+                })
+                .end(done);
+        });
+    });
+});
+
+describe('Association lifetimes', function() {
+    it('default to hours for shared associations', function(done) {
+        associate(testHelper, 'HMAC-SHA256', 'DH-SHA256')
+            .expect(openIdFields({
+                expires_in: '21600'
+            }))
+            .end(done);
+    });
+
+    it('can be set for shared associations', function(done) {
+        associate(testHelper.withOptions({ sharedAssociationExpirySecs: 3600 }), 'HMAC-SHA256', 'DH-SHA256')
+            .expect(openIdFields({
+                expires_in: '3600'
+            }))
+            .end(done);
+    });
+
+    it('can be set for private associations, which use the most preferred type', function(done) {
+        var provider = new Skylith({
+                providerEndpoint: testHelper.endpoint,
+                associationTypes: ['HMAC-SHA1', 'HMAC-SHA256'],
+                privateAssociationExpirySecs: 120,
+                privateAssociationKeys: [{ id: 'k1', secret: 'a master key' }],
+                checkAuth: function(interactive, context) {
+                    provider.completeAuthResponse(context.handle, { identity: 'bob' }, function(err, response) {
+                        if (err) return done(err);
+
+                        var handle = url.parse(response.headers.Location, true).query['openid.assoc_handle'].split('.'),
+                            expiresIn = (parseInt(handle[2], 10) - Date.now()) / 1000;
+
+                        assert.equal(handle[3], 'sha1');
+                        assert.closeTo(expiresIn, 120, 5);
+                        done();
+                    });
+                }
+            });
+
+        provider.handleRequest({
+            method: 'GET',
+            url: '/?openid.ns=' + encodeURIComponent(OPENID_NS) + '&openid.mode=checkid_setup&openid.return_to=' +
+                 encodeURIComponent('http://localhost/here'),
+            headers: {}
+        }, function(err) {
+            if (err) done(err);
+        });
+    });
+});
@@ -0,0 +1,267 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth,
+    error = testHelper.error;
+
+var AX_NS = 'http://openid.net/srv/ax/1.0',
+    EMAIL = 'http://axschema.org/contact/email',
+    NICKNAME = 'http://axschema.org/namePerson/friendly',
+    FULLNAME = 'http://axschema.org/namePerson';
+
+describe('Attribute Exchange', function() {
+    it('rejects unknown modes', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.ax': AX_NS,
+                'ax.mode': 'fetch_response'
+            })
+            .expect(error('Unexpected attribute exchange mode'))
+            .end(done);
+    });
+
+    describe('fetch_request', function() {
+        var fetchRequest = {
+            mode: 'checkid_setup',
+            realm: 'http://localhost/',
+            return_to: 'http://localhost/here',
+            'ns.ext1': AX_NS,
+            'ext1.mode': 'fetch_request',
+            'ext1.type.email': EMAIL,
+            'ext1.count.email': '2',
+            'ext1.type.nick': NICKNAME,
+            'ext1.type.name': FULLNAME,
+            'ext1.count.name': 'unlimited',
+            'ext1.required': 'email',
+            'ext1.if_available': 'nick,name'
+        };
+
+        it('normalises the request into the context', function(done) {
+            var ax = {};
+            ax[EMAIL] = 'bob@example.com';
+
+            testHelper.get('/openid', fetchRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    extensions: { ax: ax },
+                    verifyContext: function(context) {
+                        assert.deepEqual(context.ax.attributes, [
+                            { alias: 'email', type: EMAIL, required: true, count: 2 },
+                            { alias: 'nick', type: NICKNAME, required: false, count: 1 },
+                            { alias: 'name', type: FULLNAME, required: false, count: 'unlimited' }
+                        ]);
+                    }
+                }))
+                .end(done);
+        });
+
+        it('rejects invalid counts', function(done) {
+            testHelper.get('/openid', {
+                    mode: 'checkid_setup',
+                    realm: 'http://localhost/',
+                    return_to: 'http://localhost/here',
+                    'ns.ax': AX_NS,
+                    'ax.mode': 'fetch_request',
+                    'ax.type.email': EMAIL,
+                    'ax.count.email': '0',
+                    'ax.required': 'email'
+                })
+                .expect(error('Invalid attribute exchange count'))
+                .end(done);
+        });
+
+        it('returns requested values, respecting counts', function(done) {
+            var ax = {};
+            ax[EMAIL] = ['bob@example.com', 'bob@example.org', 'bob@example.net'];
+            ax[NICKNAME] = ['bob', 'bobby'];
+            ax[FULLNAME] = ['Bob Smith', 'Robert Smith', 'Bobby Smith'];
+            ax['http://axschema.org/contact/phone/default'] = '555-1234';  // not requested
+
+            testHelper.get('/openid', fetchRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    extensions: { ax: ax }
+                }))
+                .expect(openIdFields({
+                    mode: 'id_res',
+                    'ext1.mode': 'fetch_response',
+                    'ext1.type.email': EMAIL,
+                    'ext1.count.email': '2',
+                    'ext1.value.email.1': 'bob@example.com',
+                    'ext1.value.email.2': 'bob@example.org',
+                    'ext1.value.email.3': undefined,
+                    'ext1.type.nick': NICKNAME,
+                    'ext1.count.nick': undefined,
+                    'ext1.value.nick': 'bob',
+                    'ext1.count.name': '3',
+                    'ext1.value.name.3': 'Bobby Smith'
+                }))
+                .expect(function(res) {
+                    for (var key in res.resParams) {
+                        assert.notEqual(res.resParams[key], 'http://axschema.org/contact/phone/default');
+                    }
+                })
+                .end(done);
+        });
+
+        it('omits optional attributes without values', function(done) {
+            var ax = {};
+            ax[EMAIL] = 'bob@example.com';
+
+            testHelper.get('/openid', fetchRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    extensions: { ax: ax }
+                }))
+                .expect(openIdFields({
+                    mode: 'id_res',
+                    'ext1.count.email': '1',
+                    'ext1.value.email.1': 'bob@example.com',
+                    'ext1.type.nick': undefined,
+                    'ext1.type.name': undefined
+                }))
+                .end(done);
+        });
+
+        it('reports missing required attributes', function(done) {
+            var reported;
+
+            testHelper.get('/openid', fetchRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    extensions: { ax: {} },
+                    onCompleteError: function(err) {
+                        reported = err;
+                    }
+                }))
+                .expect(openIdFields({
+                    mode: 'cancel'
+                }))
+                .expect(function() {
+                    assert.deepEqual(reported.missing, [EMAIL]);
+                })
+                .end(done);
+        });
+    });
+
+    describe('store_request', function() {
+        var storeRequest = {
+            mode: 'checkid_setup',
+            realm: 'http://localhost/',
+            return_to: 'http://localhost/here',
+            'ns.ext1': AX_NS,
+            'ext1.mode': 'store_request',
+            'ext1.type.email': EMAIL,
+            'ext1.count.email': '2',
+            'ext1.value.email.1': 'bob@example.com',
+            'ext1.value.email.2': 'bob@example.org',
+            'ext1.type.nick': NICKNAME,
+            'ext1.value.nick': 'bob'
+        };
+
+        it('exposes the attributes to store in the context', function(done) {
+            testHelper.get('/openid', storeRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    verifyContext: function(context) {
+                        assert.equal(context.ax.fields.mode, 'store_request');
+                        assert.sameMembers(context.ax.attributes.map(function(a) { return a.alias; }), ['email', 'nick']);
+                        context.ax.attributes.forEach(function(attribute) {
+                            if (attribute.alias === 'email') {
+                                assert.equal(attribute.type, EMAIL);
+                                assert.deepEqual(attribute.values, ['bob@example.com', 'bob@example.org']);
+                            } else {
+                                assert.equal(attribute.type, NICKNAME);
+                                assert.deepEqual(attribute.values, ['bob']);
+                            }
+                        });
+                    }
+                }))
+                .end(done);
+        });
+
+        it('only looks at the values which are there, whatever the count', function(done) {
+            this.timeout(1000);
+
+            testHelper.get('/openid', {
+                    mode: 'checkid_setup',
+                    realm: 'http://localhost/',
+                    return_to: 'http://localhost/here',
+                    'ns.ext1': AX_NS,
+                    'ext1.mode': 'store_request',
+                    'ext1.type.email': EMAIL,
+                    'ext1.count.email': '999999999',
+                    'ext1.value.email.10': 'bob@example.net',
+                    'ext1.value.email.2': 'bob@example.org'
+                })
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    verifyContext: function(context) {
+                        assert.deepEqual(context.ax.attributes[0].values, ['bob@example.org', 'bob@example.net']);
+                    }
+                }))
+                .end(done);
+        });
+
+        it('reports success', function(done) {
+            testHelper.get('/openid', storeRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    extensions: {
+                        ax: { stored: true }
+                    }
+                }))
+                .expect(openIdFields({
+                    mode: 'id_res',
+                    'ns.ext1': AX_NS,
+                    'ext1.mode': 'store_response_success',
+                    'ext1.error': undefined
+                }))
+                .expect(function(res) {
+                    assert.include(res.resParams['openid.signed'].split(','), 'ext1.mode');
+                })
+                .end(done);
+        });
+
+        it('reports failure with an error', function(done) {
+            testHelper.get('/openid', storeRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true,
+                    extensions: {
+                        ax: { stored: false, error: 'User declined' }
+                    }
+                }))
+                .expect(openIdFields({
+                    mode: 'id_res',
+                    'ext1.mode': 'store_response_failure',
+                    'ext1.error': 'User declined'
+                }))
+                .end(done);
+        });
+
+        it('reports failure if the application says nothing', function(done) {
+            testHelper.get('/openid', storeRequest)
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true
+                }))
+                .expect(openIdFields({
+                    mode: 'id_res',
+                    'ext1.mode': 'store_response_failure'
+                }))
+                .end(done);
+        });
+    });
+});
@@ -0,0 +1,298 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth,
+    Skylith = require('../skylith'),
+    Association = require('../lib/association');
+
+// Get a positive assertion from the provider, then turn it into a check_authentication request
+function positiveAssertion(provider, next) {
+    provider.get('/openid', {
+            mode: 'checkid_setup',
+            realm: 'http://localhost/',
+            return_to: 'http://localhost/here'
+        })
+        .expect(checkAuth({
+            identity: 'bob',
+            ensureInteractive: true
+        }))
+        .end(function(err, res) {
+            if (err) return next(err);
+
+            var params = {};
+            for (var key in res.resParams) {
+                if (key !== 'openid.ns') params[key.substr(7)] = res.resParams[key];
+            }
+            params.mode = 'check_authentication';
+
+            next(null, params);
+        });
+}
+
+describe('check_authentication', function() {
+    it('verifies a positive assertion', function(done) {
+        positiveAssertion(testHelper, function(err, params) {
+            if (err) return done(err);
+
+            testHelper.post('/openid', params)
+                .expect(200)
+                .expect(openIdFields({ is_valid: 'true' }))
+                .end(done);
+        });
+    });
+
+    it('rejects a modified assertion', function(done) {
+        positiveAssertion(testHelper, function(err, params) {
+            if (err) return done(err);
+
+            params.return_to = 'http://localhost/elsewhere';
+
+            testHelper.post('/openid', params)
+                .expect(openIdFields({ is_valid: 'false' }))
+                .end(done);
+        });
+    });
+
+    it('rejects an assertion without a list of signed fields', function(done) {
+        positiveAssertion(testHelper, function(err, params) {
+            if (err) return done(err);
+
+            delete params.signed;
+
+            testHelper.post('/openid', params)
+                .expect(200)
+                .expect(openIdFields({ is_valid: 'false' }))
+                .end(done);
+        });
+    });
+
+    ['op_endpoint', 'return_to', 'response_nonce', 'assoc_handle', 'claimed_id', 'identity'].forEach(function(field) {
+        it('rejects an assertion which does not sign ' + field, function(done) {
+            var provider = testHelper.withOptions(),
+                reason;
+
+            provider.provider.on('checkAuthentication', function(event) {
+                reason = event.reason;
+            });
+
+            positiveAssertion(provider, function(err, params) {
+                if (err) return done(err);
+
+                params.signed = params.signed.split(/,/).filter(function(signed) {
+                    return signed !== field;
+                }).join(',');
+
+                provider.post('/openid', params)
+                    .expect(openIdFields({ is_valid: 'false' }))
+                    .expect(function() {
+                        assert.equal(reason, field + ' is not signed');
+                    })
+                    .end(done);
+            });
+        });
+    });
+
+    it('only verifies an assertion once', function(done) {
+        positiveAssertion(testHelper, function(err, params) {
+            if (err) return done(err);
+
+            testHelper.post('/openid', params)
+                .expect(openIdFields({ is_valid: 'true' }))
+                .end(function(err) {
+                    if (err) return done(err);
+
+                    testHelper.post('/openid', params)
+                        .expect(openIdFields({ is_valid: 'false' }))
+                        .end(done);
+                });
+        });
+    });
+
+    it('verifies an assertion after the memory association store has filled with shared associations', function(done) {
+        var store = new Skylith.MemoryAssociationStore({ maxEntries: 1, sweepIntervalSecs: 0 }),
+            provider = testHelper.withOptions({ associationStore: store });
+
+        positiveAssertion(provider, function(err, params) {
+            if (err) return done(err);
+
+            store.put(new Association('sha256', 'c2VjcmV0', 60, false), function(err) {
+                if (err) return done(err);
+
+                store.put(new Association('sha256', 'c2VjcmV0', 60, false), function(err) {
+                    assert.equal(err.status, 503);
+
+                    provider.post('/openid', params)
+                        .expect(openIdFields({ is_valid: 'true' }))
+                        .end(function(err) {
+                            store.close();
+                            done(err);
+                        });
+                });
+            });
+        });
+    });
+
+    it('rejects expired nonces', function(done) {
+        var nonces = {},
+            provider = testHelper.withOptions({
+                nonceStore: {
+                    put: function(nonce, next) {
+                        nonces[nonce.id] = nonce;
+                        next(null);
+                    },
+                    getAndDelete: function(id, next) {
+                        var nonce = nonces[id];
+                        delete nonces[id];
+                        if (nonce) nonce.expiry = Date.now() - 1000;
+                        next(null, nonce);
+                    }
+                }
+            });
+
+        positiveAssertion(provider, function(err, params) {
+            if (err) return done(err);
+
+            provider.post('/openid', params)
+                .expect(openIdFields({ is_valid: 'false' }))
+                .end(done);
+        });
+    });
+
+    it('rejects nonces presented with a different association', function(done) {
+        positiveAssertion(testHelper, function(err, first) {
+            if (err) return done(err);
+
+            positiveAssertion(testHelper, function(err, second) {
+                if (err) return done(err);
+
+                // A genuine, signed assertion, but with a nonce issued for another association
+                second.response_nonce = first.response_nonce;
+
+                testHelper.post('/openid', second)
+                    .expect(openIdFields({ is_valid: 'false' }))
+                    .end(done);
+            });
+        });
+    });
+
+    ['not-a-timestamp', '2014-03-01 12:00:00Zabc', '2014-03-01T12:00:00.123Zabc', '2014-03-01T12:00:00+01:00abc'].forEach(function(nonce) {
+        it('rejects malformed nonce ' + nonce + ' without looking it up', function(done) {
+            var lookedUp = false,
+                provider = testHelper.withOptions({
+                    nonceStore: {
+                        put: function(nonce, next) { next(null); },
+                        getAndDelete: function(id, next) {
+                            lookedUp = true;
+                            next(null);
+                        }
+                    }
+                });
+
+            positiveAssertion(provider, function(err, params) {
+                if (err) return done(err);
+
+                params.response_nonce = nonce;
+
+                provider.post('/openid', params)
+                    .expect(openIdFields({ is_valid: 'false' }))
+                    .expect(function() {
+                        assert.isFalse(lookedUp);
+                    })
+                    .end(done);
+            });
+        });
+    });
+
+    it('rejects nonces from the future', function(done) {
+        var provider = testHelper.withOptions({ nonceClockSkewSecs: 5 });
+
+        positiveAssertion(provider, function(err, params) {
+            if (err) return done(err);
+
+            // Pretend this node's clock is two minutes behind the node which issued the nonce
+            var now = Date.now;
+            Date.now = function() { return now() - 120000; };
+
+            provider.post('/openid', params)
+                .expect(openIdFields({ is_valid: 'false' }))
+                .end(function(err) {
+                    Date.now = now;
+                    done(err);
+                });
+        });
+    });
+
+    it('tolerates clock skew', function(done) {
+        var provider = testHelper.withOptions({ nonceClockSkewSecs: 5 });
+
+        positiveAssertion(provider, function(err, params) {
+            if (err) return done(err);
+
+            var now = Date.now;
+            Date.now = function() { return now() - 2000; };
+
+            provider.post('/openid', params)
+                .expect(openIdFields({ is_valid: 'true' }))
+                .end(function(err) {
+                    Date.now = now;
+                    done(err);
+                });
+        });
+    });
+
+    describe('invalidate_handle', function() {
+        var associationStore = new Skylith.MemoryAssociationStore({ sweepIntervalSecs: 0 }),
+            provider = testHelper.withOptions({ associationStore: associationStore });
+
+        function verifyWithInvalidateHandle(handle, expected, done) {
+            positiveAssertion(provider, function(err, params) {
+                if (err) return done(err);
+
+                params.invalidate_handle = handle;
+
+                provider.post('/openid', params)
+                    .expect(openIdFields({ is_valid: 'true', invalidate_handle: expected }))
+                    .end(done);
+            });
+        }
+
+        it('is echoed back when the handle is unknown', function(done) {
+            verifyWithInvalidateHandle('no-such-handle', 'no-such-handle', done);
+        });
+
+        it('is echoed back when the association has expired', function(done) {
+            var association = new Association('sha256', 'c2VjcmV0', -1, false);
+
+            associationStore.put(association, function(err) {
+                if (err) return done(err);
+
+                verifyWithInvalidateHandle(association.handle, association.handle, done);
+            });
+        });
+
+        it('is not echoed back when the association is still valid', function(done) {
+            var association = new Association('sha256', 'c2VjcmV0', 30, false);
+
+            associationStore.put(association, function(err) {
+                if (err) return done(err);
+
+                verifyWithInvalidateHandle(association.handle, undefined, done);
+            });
+        });
+
+        it('is echoed back even when the signature is not valid', function(done) {
+            positiveAssertion(provider, function(err, params) {
+                if (err) return done(err);
+
+                params.return_to = 'http://localhost/elsewhere';
+                params.invalidate_handle = 'no-such-handle';
+
+                provider.post('/openid', params)
+                    .expect(openIdFields({ is_valid: 'false', invalidate_handle: 'no-such-handle' }))
+                    .end(done);
+            });
+        });
+    });
+});
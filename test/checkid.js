@@ -4,7 +4,8 @@ var chai = require('chai'),
 var testHelper = require('./test-helper'),
     endpoint = testHelper.endpoint,
     openIdFields = testHelper.openIdFields,
-    checkAuth = testHelper.checkAuth;
+    checkAuth = testHelper.checkAuth,
+    error = testHelper.error;
 
 describe('checkid_setup/checkid_immediate: main flow', function() {
     ['get', 'post'].forEach(function(verb) {
@@ -83,3 +84,226 @@ describe('checkid_setup/checkid_immediate: main flow', function() {
         });
     });
 });
+
+describe('checkid_setup/checkid_immediate: realm validation', function() {
+    [
+        ['http://localhost/', 'http://localhost/here'],
+        ['http://localhost/app', 'http://localhost/app/here'],
+        ['http://*.example.com/', 'http://www.example.com/here'],
+        ['http://*.example.com/', 'http://example.com/']
+    ].forEach(function(pair) {
+        it('accepts return_to ' + pair[1] + ' for realm ' + pair[0], function(done) {
+            testHelper.get('/openid', {
+                    mode: 'checkid_setup',
+                    realm: pair[0],
+                    return_to: pair[1]
+                })
+                .expect(checkAuth({
+                    identity: 'bob@example.com',
+                    ensureInteractive: true
+                }))
+                .expect(openIdFields({
+                    mode: 'id_res'
+                }))
+                .end(done);
+        });
+    });
+
+    [
+        ['http://localhost/', 'https://localhost/here'],
+        ['http://localhost/', 'http://localhost:8080/here'],
+        ['http://localhost/app', 'http://localhost/application'],
+        ['http://www.example.com/', 'http://login.example.com/'],
+        ['http://*.example.com/', 'http://www.example.org/']
+    ].forEach(function(pair) {
+        it('rejects return_to ' + pair[1] + ' for realm ' + pair[0], function(done) {
+            testHelper.get('/openid', {
+                    mode: 'checkid_setup',
+                    realm: pair[0],
+                    return_to: pair[1]
+                })
+                .expect(error('The return_to URL does not match the realm'))
+                .end(done);
+        });
+    });
+
+    it('rejects realms with fragments', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/#frag',
+                return_to: 'http://localhost/here'
+            })
+            .expect(error('Realm cannot contain a fragment'))
+            .end(done);
+    });
+});
+
+describe('checkid_setup/checkid_immediate: identifiers', function() {
+    var IDENTIFIER_SELECT = 'http://specs.openid.net/auth/2.0/identifier_select';
+
+    it('lets the OP choose the identity for identifier_select', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                claimed_id: IDENTIFIER_SELECT,
+                identity: IDENTIFIER_SELECT,
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.isTrue(context.identity.select);
+                    assert.isUndefined(context.identity.expected);
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                claimed_id: testHelper.identity('bob'),
+                identity: testHelper.identity('bob')
+            }))
+            .end(done);
+    });
+
+    it('tells checkAuth which user the RP expects', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                claimed_id: testHelper.identity('bob smith'),
+                identity: testHelper.identity('bob smith'),
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob smith',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.isFalse(context.identity.select);
+                    assert.isFalse(context.identity.delegated);
+                    assert.equal(context.identity.expected, 'bob smith');
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                claimed_id: testHelper.identity('bob smith'),
+                identity: testHelper.identity('bob smith')
+            }))
+            .end(done);
+    });
+
+    it('asserts delegated claimed identifiers', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                claimed_id: 'http://bob.example.com/',
+                identity: testHelper.identity('bob'),
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.isTrue(context.identity.delegated);
+                    assert.equal(context.identity.claimedId, 'http://bob.example.com/');
+                    assert.equal(context.identity.expected, 'bob');
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                claimed_id: 'http://bob.example.com/',
+                identity: testHelper.identity('bob')
+            }))
+            .end(done);
+    });
+
+    it('refuses to assert a different user from the one the RP expects', function(done) {
+        var completeError;
+
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                claimed_id: testHelper.identity('bob'),
+                identity: testHelper.identity('bob'),
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'alice',
+                ensureInteractive: true,
+                onCompleteError: function(err) {
+                    completeError = err;
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'cancel'
+            }))
+            .expect(function() {
+                assert.equal(completeError.expected, 'bob');
+            })
+            .end(done);
+    });
+
+    [
+        [{ claimed_id: 'http://bob.example.com/' }, 'claimed_id and identity must both be present or both absent'],
+        [{ identity: 'http://localhost:3030/openid?u=bob' }, 'claimed_id and identity must both be present or both absent'],
+        [{ claimed_id: IDENTIFIER_SELECT, identity: 'http://localhost:3030/openid?u=bob' }, 'claimed_id and identity must both be identifier_select, or neither'],
+        [{ claimed_id: 'http://bob.example.com/', identity: 'http://bob.example.com/' }, 'The identity is not managed by this provider: http://bob.example.com/']
+    ].forEach(function(testCase) {
+        it('rejects ' + JSON.stringify(testCase[0]), function(done) {
+            var params = {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            };
+
+            for (var key in testCase[0]) params[key] = testCase[0][key];
+
+            testHelper.get('/openid', params)
+                .expect(error(testCase[1]))
+                .end(done);
+        });
+    });
+});
+
+describe('checkid_setup/checkid_immediate: identity URLs', function() {
+    var provider = testHelper.withOptions({ identityUrl: 'http://localhost:3030/users/{identity}' });
+
+    it('asserts identities using the configured URLs', function(done) {
+        provider.get('/openid', {
+                mode: 'checkid_setup',
+                claimed_id: 'http://localhost:3030/users/bob',
+                identity: 'http://localhost:3030/users/bob',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.equal(context.identity.expected, 'bob');
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                claimed_id: 'http://localhost:3030/users/bob',
+                identity: 'http://localhost:3030/users/bob'
+            }))
+            .end(done);
+    });
+
+    it('maps identities chosen by the OP', function(done) {
+        provider.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                claimed_id: 'http://localhost:3030/users/bob',
+                identity: 'http://localhost:3030/users/bob'
+            }))
+            .end(done);
+    });
+});
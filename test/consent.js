@@ -0,0 +1,255 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    responseParams = testHelper.responseParams,
+    Skylith = require('../skylith');
+
+var AX_NS = 'http://openid.net/srv/ax/1.0',
+    EMAIL = 'http://axschema.org/contact/email',
+    NICKNAME = 'http://axschema.org/namePerson/friendly',
+    REALM = 'http://localhost/';
+
+function loggedInAs(identity) {
+    return function(req, res, next) {
+        next(null, identity);
+    };
+}
+
+function checkId(op, mode, extra) {
+    return testHelper.checkId(op, mode, merge({ 'openid.realm': REALM }, extra));
+}
+
+function axFetch(required, ifAvailable) {
+    var fields = { 'openid.ns.ax': AX_NS, 'openid.ax.mode': 'fetch_request', 'openid.ax.type.email': EMAIL,
+                   'openid.ax.type.nick': NICKNAME };
+
+    if (required) fields['openid.ax.required'] = required;
+    if (ifAvailable) fields['openid.ax.if_available'] = ifAvailable;
+
+    return fields;
+}
+
+function asking(identity) {
+    return { 'openid.claimed_id': testHelper.identity(identity), 'openid.identity': testHelper.identity(identity) };
+}
+
+function expectMode(mode) {
+    return function(res) {
+        assert.equal(res.status, 302);
+        assert.equal(responseParams(res)['openid.mode'], mode);
+    };
+}
+
+describe('Consent', function() {
+    it('tells checkAuth which attributes still need consent', function(done) {
+        var op = testHelper.withOptions({
+                checkAuth: function(req, res, interactive, context) {
+                    assert.equal(context.consent.identity, 'bob');
+                    assert.equal(context.consent.realm, REALM);
+                    assert.isTrue(context.consent.granted);
+                    assert.deepEqual(context.consent.attributes, [EMAIL]);
+                    assert.deepEqual(context.consent.needed, [NICKNAME]);
+                    res.send(200, 'OK');
+                }
+            });
+
+        op.provider.grantConsent('bob', REALM, { attributes: [EMAIL] }).then(function() {
+            checkId(op, 'checkid_setup', merge(asking('bob'), axFetch('email,nick')))
+                .expect(200, 'OK')
+                .end(done);
+        }).catch(done);
+    });
+
+    it('uses the current identity when the Relying Party leaves the choice to the provider', function(done) {
+        var op = testHelper.withOptions({
+                currentIdentity: loggedInAs('bob'),
+                checkAuth: function(req, res, interactive, context) {
+                    assert.equal(context.consent.identity, 'bob');
+                    assert.isFalse(context.consent.granted);
+                    res.send(200, 'OK');
+                }
+            });
+
+        checkId(op, 'checkid_setup')
+            .expect(200, 'OK')
+            .end(done);
+    });
+
+    it('records consent given in the auth response', function(done) {
+        var op = testHelper.withOptions({
+                checkAuth: function(req, res, interactive, context) {
+                    op.provider.completeAuth(req, res, context.handle, {
+                        identity: 'bob',
+                        ax: { 'http://axschema.org/contact/email': 'bob@example.com' },
+                        consent: true
+                    }).then(function() {
+                        return op.provider.getConsent('bob', REALM);
+                    }).then(function(consent) {
+                        assert.deepEqual(consent.attributes, [EMAIL]);
+                        assert.isTrue(consent.expiry > Date.now());
+                    }).catch(done);
+                }
+            });
+
+        checkId(op, 'checkid_setup', axFetch(null, 'email,nick'))
+            .expect(expectMode('id_res'))
+            .end(done);
+    });
+
+    describe('in checkid_immediate', function() {
+        it('answers no when nobody is logged in', function(done) {
+            var op = testHelper.withOptions({ currentIdentity: loggedInAs(null) });
+
+            checkId(op, 'checkid_immediate')
+                .expect(expectMode('setup_needed'))
+                .end(done);
+        });
+
+        it('answers no without consent', function(done) {
+            var op = testHelper.withOptions({ currentIdentity: loggedInAs('bob') });
+
+            checkId(op, 'checkid_immediate')
+                .expect(expectMode('setup_needed'))
+                .end(done);
+        });
+
+        it('answers yes with consent', function(done) {
+            var op = testHelper.withOptions({ currentIdentity: loggedInAs('bob') });
+
+            op.provider.grantConsent('bob', REALM, function(err) {
+                if (err) return done(err);
+
+                checkId(op, 'checkid_immediate')
+                    .expect(expectMode('id_res'))
+                    .expect(function(res) {
+                        assert.equal(responseParams(res)['openid.claimed_id'], testHelper.identity('bob'));
+                    })
+                    .end(done);
+            });
+        });
+
+        it('answers no when the Relying Party asks about somebody else', function(done) {
+            var op = testHelper.withOptions({ currentIdentity: loggedInAs('bob') });
+
+            op.provider.grantConsent('alice', REALM).then(function() {
+                return op.provider.grantConsent('bob', REALM);
+            }).then(function() {
+                checkId(op, 'checkid_immediate', asking('alice'))
+                    .expect(expectMode('setup_needed'))
+                    .end(done);
+            }).catch(done);
+        });
+
+        it('answers no without consent to a required attribute', function(done) {
+            var op = testHelper.withOptions({ currentIdentity: loggedInAs('bob') });
+
+            op.provider.grantConsent('bob', REALM, { attributes: [NICKNAME] }, function(err) {
+                if (err) return done(err);
+
+                checkId(op, 'checkid_immediate', axFetch('email'))
+                    .expect(expectMode('setup_needed'))
+                    .end(done);
+            });
+        });
+
+        it('asks checkAuth for attribute values', function(done) {
+            var op = testHelper.withOptions({
+                    currentIdentity: function(req, res) {
+                        return Promise.resolve('bob');
+                    },
+                    checkAuth: function(req, res, interactive, context) {
+                        assert.isFalse(interactive);
+                        assert.deepEqual(context.consent.needed, [NICKNAME]);  // Only if_available
+                        op.provider.completeAuth(req, res, context.handle, {
+                            identity: 'bob',
+                            ax: { 'http://axschema.org/contact/email': 'bob@example.com' }
+                        }).catch(done);
+                    }
+                });
+
+            op.provider.grantConsent('bob', REALM, { attributes: [EMAIL] }, function(err) {
+                if (err) return done(err);
+
+                checkId(op, 'checkid_immediate', axFetch('email', 'nick'))
+                    .expect(expectMode('id_res'))
+                    .end(done);
+            });
+        });
+
+        it('answers no once consent has been revoked', function(done) {
+            var op = testHelper.withOptions({ currentIdentity: loggedInAs('bob') });
+
+            op.provider.grantConsent('bob', REALM).then(function() {
+                return op.provider.revokeConsent('bob', REALM);
+            }).then(function() {
+                checkId(op, 'checkid_immediate')
+                    .expect(expectMode('setup_needed'))
+                    .end(done);
+            }).catch(done);
+        });
+
+        it('answers no once consent has expired', function(done) {
+            var op = testHelper.withOptions({ currentIdentity: loggedInAs('bob'), consentStore: new Skylith.MemoryConsentStore() });
+
+            op.provider.grantConsent('bob', REALM, { expirySecs: 60 }, function(err) {
+                if (err) return done(err);
+
+                var now = Date.now;
+                Date.now = function() { return now() + 61000; };
+
+                checkId(op, 'checkid_immediate')
+                    .expect(expectMode('setup_needed'))
+                    .end(function(err) {
+                        Date.now = now;
+                        done(err);
+                    });
+            });
+        });
+
+        it('reports errors finding the current identity as internal errors', function(done) {
+            var op = testHelper.withOptions({
+                    currentIdentity: function(req, res) {
+                        return Promise.reject(new Error('Session store unavailable'));
+                    }
+                }),
+                errors = [];
+
+            op.provider.on('internalError', function(event) {
+                errors.push(event.error);
+            });
+
+            checkId(op, 'checkid_immediate')
+                .expect(500, 'Handled: Session store unavailable')
+                .expect(function() {
+                    assert.lengthOf(errors, 1);
+                })
+                .end(done);
+        });
+
+        it('is left to checkAuth without currentIdentity', function(done) {
+            var op = testHelper.withOptions({
+                    checkAuth: function(req, res, interactive, context) {
+                        assert.isFalse(interactive);
+                        res.send(200, 'OK');
+                    }
+                });
+
+            checkId(op, 'checkid_immediate')
+                .expect(200, 'OK')
+                .end(done);
+        });
+    });
+});
+
+function merge(a, b) {
+    var result = {};
+
+    [a, b].forEach(function(fields) {
+        for (var key in fields) {
+            result[key] = fields[key];
+        }
+    });
+
+    return result;
+}
@@ -21,7 +21,7 @@ describe('Discovery', function() {
             testHelper
                 .get('/openid?u=charlie')
                 .accept('application/xrds+xml')
-                .expect(200, getExpectedXRDSDocument('signon'))
+                .expect(200, getExpectedXRDSDocument('signon', testHelper.identity('charlie')))
                 .expect('Content-Type', 'application/xrds+xml')
                 .end(done);
         });
@@ -57,12 +57,141 @@ describe('Discovery', function() {
         });
     });
 
-    it('rejects unknown content types', function(done) {
-        testHelper
-            .get('/openid?u=charlie')
-            .accept('application/json')
-            .expect(406)
-            .end(done);
+    describe('identity URLs', function() {
+        var provider = testHelper.withOptions({
+                identityUrl: 'http://localhost:3030/users/{identity}'
+            }, ['/openid', '/users']);
+
+        it('serves user documents at the mapped path', function(done) {
+            provider.get('/users/charlie%20brown')
+                .accept('text/html')
+                .expect(200)
+                .expect(function(res) {
+                    var $ = cheerio.load(res.text);
+                    assert.equal($('html>head>link[rel="openid2.provider"]').attr('href'), testHelper.endpoint);
+                    assert.equal($('html>head>link[rel="openid2.local_id"]').attr('href'), 'http://localhost:3030/users/charlie%20brown');
+                })
+                .end(done);
+        });
+
+        it('no longer serves user documents using the query string', function(done) {
+            provider.get('/openid?u=charlie')
+                .accept('application/xrds+xml')
+                .expect(200, getExpectedXRDSDocument('server'))
+                .end(done);
+        });
+
+        it('delegates paths which are not identities', function(done) {
+            provider.get('/users/charlie/photos')
+                .expect(404)
+                .end(done);
+        });
+
+        it('can be mapped with a pair of functions', function(done) {
+            var provider = testHelper.withOptions({
+                    identityUrl: {
+                        toUrl: function(identity) {
+                            return 'http://localhost:3030/~' + identity;
+                        },
+                        fromUrl: function(identityUrl) {
+                            var match = /^http:\/\/localhost:3030\/~([a-z]+)$/.exec(identityUrl);
+                            return match ? match[1] : null;
+                        }
+                    }
+                }, ['/openid', '/']);
+
+            provider.get('/~charlie')
+                .accept('application/xrds+xml')
+                .expect(200, getExpectedXRDSDocument('signon', 'http://localhost:3030/~charlie'))
+                .end(done);
+        });
+
+        it('rejects templates without a placeholder', function() {
+            assert.throws(function() {
+                testHelper.withOptions({ identityUrl: 'http://localhost:3030/users/' });
+            }, /must contain \{identity\} exactly once/);
+        });
+    });
+
+    describe('Yadis', function() {
+        it('sends HTML to clients which will accept anything', function(done) {
+            testHelper
+                .get('/openid?u=charlie')
+                .accept('*/*')
+                .expect(200)
+                .expect('Content-Type', 'text/html')
+                .expect('X-XRDS-Location', testHelper.identity('charlie') + '&xrds')
+                .expect('Vary', 'Accept')
+                .end(done);
+        });
+
+        it('falls back to HTML for unknown content types', function(done) {
+            testHelper
+                .get('/openid?u=charlie')
+                .accept('application/json')
+                .expect(200)
+                .expect('Content-Type', 'text/html')
+                .end(done);
+        });
+
+        [
+            ['text/html;q=0.5, application/xrds+xml', 'application/xrds+xml'],
+            ['application/xrds+xml;q=0.5, text/html', 'text/html'],
+            ['application/xrds+xml, */*', 'application/xrds+xml'],
+            ['application/*, text/html;q=0.1', 'application/xrds+xml'],
+            ['text/html;q=0, */*', 'application/xrds+xml']
+        ].forEach(function(pair) {
+            it('sends ' + pair[1] + ' for Accept: ' + pair[0], function(done) {
+                testHelper
+                    .get('/openid')
+                    .set('Accept', pair[0])
+                    .expect(200)
+                    .expect('Content-Type', pair[1])
+                    .end(done);
+            });
+        });
+
+        it('sends the X-XRDS-Location in a meta element too', function(done) {
+            testHelper
+                .get('/openid')
+                .accept('text/html')
+                .expect(function(res) {
+                    var $ = cheerio.load(res.text);
+                    assert.equal($('html>head>meta[http-equiv="X-XRDS-Location"]').attr('content'), endpoint + '?xrds');
+                    assert.equal(res.get('X-XRDS-Location'), endpoint + '?xrds');
+                })
+                .end(done);
+        });
+
+        it('sends XRDS from the X-XRDS-Location, whatever the Accept header says', function(done) {
+            testHelper
+                .get('/openid?u=charlie&xrds')
+                .accept('text/html')
+                .expect(200, getExpectedXRDSDocument('signon', testHelper.identity('charlie')))
+                .expect('Content-Type', 'application/xrds+xml')
+                .end(done);
+        });
+
+        it('answers HEAD requests', function(done) {
+            testHelper
+                .head('/openid?u=charlie')
+                .expect(200)
+                .expect('X-XRDS-Location', testHelper.identity('charlie') + '&xrds')
+                .end(done);
+        });
+
+        it('only advertises enabled extensions', function(done) {
+            testHelper.withOptions({ extensions: ['sreg'] })
+                .get('/openid')
+                .accept('application/xrds+xml')
+                .expect(200)
+                .expect(function(res) {
+                    assert.include(res.text, '<Type>http://openid.net/extensions/sreg/1.1</Type>');
+                    assert.notInclude(res.text, 'http://openid.net/srv/ax/1.0');
+                    assert.notInclude(res.text, 'http://specs.openid.net/extensions/pape/1.0');
+                })
+                .end(done);
+        });
     });
 });
 
@@ -72,11 +201,14 @@ var XRDSTemplate = '<?xml version="1.0" encoding="UTF-8"?>' +
                    '<Service priority="0">' +
                    '<Type>http://specs.openid.net/auth/2.0/%s</Type>' +
                    '<Type>http://openid.net/srv/ax/1.0</Type>' +
+                   '<Type>http://openid.net/extensions/sreg/1.1</Type>' +
+                   '<Type>http://specs.openid.net/extensions/pape/1.0</Type>' +
                    '<URI>%s</URI>' +
+                   '%s' +
                    '</Service>' +
                    '</XRD>' +
                    '</xrds:XRDS>';
 
-function getExpectedXRDSDocument(type) {
-    return util.format(XRDSTemplate, type, endpoint);
+function getExpectedXRDSDocument(type, localId) {
+    return util.format(XRDSTemplate, type, endpoint, localId ? '<LocalID>' + localId + '</LocalID>' : '');
 }
@@ -0,0 +1,181 @@
+var crypto = require('crypto'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth,
+    error = testHelper.error;
+
+var DH_MODULUS_HEX = 'DCF93A0B883972EC0E19989AC5A2CE310E1D37717E8D9571BB7623731866E61E' +
+                     'F75A2E27898B057F9891C2E27A639C3F29B60814581CD3B2CA3986D268370557' +
+                     '7D45C2E7E52DC81C7A171876E5CEA74B1448BFDFAF18828EFD2519F14E45E382' +
+                     '6634AF1949E5B535CC829A483B8A76223E5D490A257F05BDFF16F2FB22C583AB';
+
+describe('Events', function() {
+    var app, events;
+
+    beforeEach(function() {
+        app = testHelper.withOptions({});
+        events = [];
+
+        ['association', 'checkId', 'assertion', 'cancel', 'checkAuthentication', 'requestRejected', 'internalError'].forEach(function(name) {
+            app.provider.on(name, function(event) {
+                events.push({ name: name, event: event });
+            });
+        });
+    });
+
+    afterEach(function() {
+        app.provider.close();
+    });
+
+    function eventsNamed(name) {
+        return events.filter(function(e) { return e.name === name; }).map(function(e) { return e.event; });
+    }
+
+    it('reports associations without their secrets', function(done) {
+        var dh = crypto.createDiffieHellman(DH_MODULUS_HEX, 'hex');
+
+        app.post('/openid', {
+                mode: 'associate',
+                assoc_type: 'HMAC-SHA256',
+                session_type: 'DH-SHA256',
+                dh_consumer_public: dh.generateKeys('base64')
+            })
+            .expect(200)
+            .expect(function(res) {
+                var association = eventsNamed('association');
+
+                assert.lengthOf(association, 1);
+                assert.equal(association[0].assocHandle, res.resParams['openid.assoc_handle']);
+                assert.equal(association[0].assocType, 'HMAC-SHA256');
+                assert.equal(association[0].sessionType, 'DH-SHA256');
+                assert.equal(association[0].response.enc_mac_key, '[redacted]');
+                assert.notInclude(JSON.stringify(association[0]), res.resParams['openid.enc_mac_key']);
+                assert.instanceOf(association[0].time, Date);
+            })
+            .end(done);
+    });
+
+    it('reports requests and the assertions made', function(done) {
+        app.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(function(res) {
+                var checkId = eventsNamed('checkId'),
+                    assertion = eventsNamed('assertion');
+
+                assert.lengthOf(checkId, 1);
+                assert.equal(checkId[0].realm, 'http://localhost/');
+                assert.isTrue(checkId[0].interactive);
+
+                assert.lengthOf(assertion, 1);
+                assert.equal(assertion[0].identity, 'bob');
+                assert.equal(assertion[0].claimedId, testHelper.identity('bob'));
+                assert.equal(assertion[0].realm, 'http://localhost/');
+                assert.equal(assertion[0].returnTo, 'http://localhost/here');
+                assert.equal(assertion[0].assocHandle, res.resParams['openid.assoc_handle']);
+                assert.isTrue(assertion[0].privateAssociation);
+            })
+            .end(done);
+    });
+
+    it('reports cancelled requests', function(done) {
+        app.get('/openid', {
+                mode: 'checkid_immediate',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                succeed: false,
+                ensureInteractive: false
+            }))
+            .expect(function() {
+                var cancel = eventsNamed('cancel');
+
+                assert.lengthOf(cancel, 1);
+                assert.isFalse(cancel[0].interactive);
+                assert.equal(cancel[0].response.mode, 'setup_needed');
+                assert.lengthOf(eventsNamed('assertion'), 0);
+            })
+            .end(done);
+    });
+
+    it('reports rejected requests', function(done) {
+        app.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/app/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(error('The return_to URL does not match the realm'))
+            .expect(function() {
+                var rejected = eventsNamed('requestRejected');
+
+                assert.lengthOf(rejected, 1);
+                assert.equal(rejected[0].error, 'The return_to URL does not match the realm');
+                assert.equal(rejected[0].realm, 'http://localhost/app/');
+                assert.lengthOf(eventsNamed('checkId'), 0);
+            })
+            .end(done);
+    });
+
+    it('reports check_authentication verdicts', function(done) {
+        app.post('/openid', {
+                mode: 'check_authentication',
+                assoc_handle: 'nonsense',
+                response_nonce: '2014-03-01T12:00:00Zabc',
+                signed: 'mode',
+                sig: 'c2ln'
+            })
+            .expect(openIdFields({ is_valid: 'false' }))
+            .expect(function() {
+                var verdicts = eventsNamed('checkAuthentication');
+
+                assert.lengthOf(verdicts, 1);
+                assert.isFalse(verdicts[0].isValid);
+                assert.equal(verdicts[0].reason, 'Nonce timestamp not acceptable');
+                assert.equal(verdicts[0].assocHandle, 'nonsense');
+            })
+            .end(done);
+    });
+
+    it('reports internal errors', function(done) {
+        var app = testHelper.withOptions({
+                nonceStore: {
+                    getAndDelete: function(id, next) {
+                        next(new Error('Nonce store unavailable'));
+                    }
+                }
+            }),
+            errors = [];
+
+        app.provider.on('internalError', function(event) {
+            errors.push(event.error);
+        });
+
+        // Sent by hand, because a 500 isn't an OpenID response
+        app.post('/openid')
+            .type('form')
+            .send({
+                'openid.ns': 'http://specs.openid.net/auth/2.0',
+                'openid.mode': 'check_authentication',
+                'openid.assoc_handle': 'nonsense',
+                'openid.response_nonce': new Date().toISOString().slice(0, -5) + 'Zabc',
+                'openid.signed': 'mode',
+                'openid.sig': 'c2ln'
+            })
+            .expect(500)
+            .expect(function() {
+                assert.lengthOf(errors, 1);
+                assert.equal(errors[0].message, 'Nonce store unavailable');
+            })
+            .end(done);
+    });
+});
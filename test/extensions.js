@@ -0,0 +1,156 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth,
+    error = testHelper.error,
+    Skylith = require('../skylith');
+
+var COLOUR_NS = 'http://example.com/openid/colour/1.0';
+
+// A made up extension: the Relying Party asks for a favourite colour, optionally from a list
+var colour = {
+    name: 'colour',
+    ns: COLOUR_NS,
+    types: [COLOUR_NS, COLOUR_NS + '/list'],
+    parseRequest: function(colourRequest) {
+        if (colourRequest.fields.mode !== 'ask') return new Error('Unexpected colour mode');
+
+        return {
+            choices: colourRequest.fields.choices ? colourRequest.fields.choices.split(',') : []
+        };
+    },
+    formatResponse: function(context, colourResponse) {
+        if (context.choices.length > 0 && context.choices.indexOf(colourResponse) === -1) {
+            throw new Error('Not one of the choices');
+        }
+
+        return { mode: 'answer', colour: colourResponse };
+    }
+};
+
+describe('Extensions', function() {
+    var provider = testHelper.withOptions({ extensions: ['sreg', colour] });
+
+    it('advertises registered extensions', function(done) {
+        provider.get('/openid')
+            .accept('application/xrds+xml')
+            .expect(200)
+            .expect(function(res) {
+                assert.include(res.text, '<Type>http://openid.net/extensions/sreg/1.1</Type>' +
+                                         '<Type>' + COLOUR_NS + '</Type>' +
+                                         '<Type>' + COLOUR_NS + '/list</Type>');
+                assert.notInclude(res.text, 'http://openid.net/srv/ax/1.0');
+            })
+            .end(done);
+    });
+
+    it('parses requests into the context and signs the response using the request alias', function(done) {
+        provider.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.fav': COLOUR_NS,
+                'fav.mode': 'ask',
+                'fav.choices': 'red,green'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    colour: 'green'
+                },
+                verifyContext: function(context) {
+                    assert.deepEqual(context.colour, { choices: ['red', 'green'] });
+                }
+            }))
+            .expect(openIdFields({
+                'ns.fav': COLOUR_NS,
+                'fav.mode': 'answer',
+                'fav.colour': 'green'
+            }))
+            .expect(function(res) {
+                var signed = res.resParams['openid.signed'].split(',');
+                assert.includeMembers(signed, ['ns.fav', 'fav.mode', 'fav.colour']);
+            })
+            .end(done);
+    });
+
+    it('rejects requests which the extension returns an error for', function(done) {
+        provider.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.fav': COLOUR_NS,
+                'fav.mode': 'tell'
+            })
+            .expect(error('Unexpected colour mode'))
+            .end(done);
+    });
+
+    it('lets the extension stop the response being sent', function(done) {
+        var completeError;
+
+        provider.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.fav': COLOUR_NS,
+                'fav.mode': 'ask',
+                'fav.choices': 'red,green'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    colour: 'blue'
+                },
+                onCompleteError: function(err) {
+                    completeError = err;
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'cancel'
+            }))
+            .expect(function() {
+                assert.equal(completeError.message, 'Not one of the choices');
+            })
+            .end(done);
+    });
+
+    describe('use()', function() {
+        var skylith;
+
+        beforeEach(function() {
+            skylith = new Skylith({ providerEndpoint: testHelper.endpoint, extensions: [] });
+        });
+
+        afterEach(function() {
+            skylith.close();
+        });
+
+        it('registers extensions', function() {
+            assert.strictEqual(skylith.use(colour), skylith);
+        });
+
+        it('refuses to register an extension twice', function() {
+            skylith.use(Skylith.extensions.ax);
+            assert.throws(function() {
+                skylith.use(Skylith.extensions.ax);
+            }, 'Extension already registered: ax');
+        });
+
+        it('refuses incomplete extensions', function() {
+            assert.throws(function() {
+                skylith.use({ name: 'broken', ns: COLOUR_NS });
+            }, 'Extensions must have parseRequest and formatResponse functions');
+        });
+
+        it('refuses names which Skylith uses in the context', function() {
+            assert.throws(function() {
+                skylith.use({ name: 'identity', ns: COLOUR_NS, parseRequest: colour.parseRequest, formatResponse: colour.formatResponse });
+            }, 'Reserved extension name: identity');
+        });
+    });
+});
@@ -0,0 +1,192 @@
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    crypto = require('crypto'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var Skylith = require('../skylith'),
+    Association = require('../lib/association');
+
+describe('File stores', function() {
+    var directory;
+
+    beforeEach(function() {
+        directory = path.join(os.tmpdir(), 'skylith-test-' + crypto.randomBytes(8).toString('hex'));
+    });
+
+    afterEach(function() {
+        if (!fs.existsSync(directory)) return;
+
+        fs.readdirSync(directory).forEach(function(name) {
+            fs.unlinkSync(path.join(directory, name));
+        });
+        fs.rmdirSync(directory);
+    });
+
+    describe('FileAssociationStore', function() {
+        it('stores, retrieves and deletes associations', function(done) {
+            var store = new Skylith.FileAssociationStore({ directory: directory }),
+                association = new Association('sha256', 'c2VjcmV0', 30, false);
+
+            store.put(association, function(err) {
+                if (err) return done(err);
+
+                store.get(association.handle, function(err, stored) {
+                    if (err) return done(err);
+
+                    assert.deepEqual(stored, JSON.parse(JSON.stringify(association)));
+
+                    store.delete(association.handle, function(err) {
+                        if (err) return done(err);
+
+                        store.get(association.handle, function(err, stored) {
+                            assert.isUndefined(stored);
+                            store.close();
+                            done(err);
+                        });
+                    });
+                });
+            });
+        });
+
+        it('survives a restart', function(done) {
+            var association = new Association('sha1', 'c2VjcmV0', 30, true);
+
+            new Skylith.FileAssociationStore({ directory: directory, purgeIntervalSecs: 0 }).put(association, function(err) {
+                if (err) return done(err);
+
+                new Skylith.FileAssociationStore({ directory: directory, purgeIntervalSecs: 0 }).get(association.handle, function(err, stored) {
+                    assert.equal(stored.secret, association.secret);
+                    assert.strictEqual(stored.private, true);
+                    done(err);
+                });
+            });
+        });
+
+        it('purges expired associations', function(done) {
+            var store = new Skylith.FileAssociationStore({ directory: directory, purgeIntervalSecs: 0 }),
+                expired = new Association('sha1', 'c2VjcmV0', -1, false),
+                current = new Association('sha1', 'c2VjcmV0', 30, false);
+
+            store.put(expired, function(err) {
+                store.put(current, function(err) {
+                    store.purge(function(err) {
+                        if (err) return done(err);
+
+                        store.get(expired.handle, function(err, stored) {
+                            assert.isUndefined(stored);
+
+                            store.get(current.handle, function(err, stored) {
+                                assert.equal(stored.handle, current.handle);
+                                done(err);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('FileNonceStore', function() {
+        it('returns a nonce exactly once', function(done) {
+            var store = new Skylith.FileNonceStore({ directory: directory, purgeIntervalSecs: 0 }),
+                nonce = { id: '2014-03-13T12:00:00Zabcd', expiry: Date.now() + 30000 };
+
+            store.put(nonce, function(err) {
+                if (err) return done(err);
+
+                store.getAndDelete(nonce.id, function(err, stored) {
+                    if (err) return done(err);
+
+                    assert.deepEqual(stored, nonce);
+
+                    store.getAndDelete(nonce.id, function(err, stored) {
+                        assert.isUndefined(stored);
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it('only gives a nonce to one of several concurrent stores', function(done) {
+            var nonce = { id: '2014-03-13T12:00:00Zefgh', expiry: Date.now() + 30000 },
+                stores = [1, 2, 3, 4].map(function() {
+                    return new Skylith.FileNonceStore({ directory: directory, purgeIntervalSecs: 0 });
+                });
+
+            stores[0].put(nonce, function(err) {
+                if (err) return done(err);
+
+                var results = [];
+
+                stores.forEach(function(store) {
+                    store.getAndDelete(nonce.id, function(err, stored) {
+                        if (err) return done(err);
+
+                        results.push(stored);
+
+                        if (results.length === stores.length) {
+                            assert.lengthOf(results.filter(function(result) { return result; }), 1);
+                            done();
+                        }
+                    });
+                });
+            });
+        });
+
+        it('keeps a claimed nonce from purges, however long ago it was stored', function(done) {
+            var store = new Skylith.FileNonceStore({ directory: directory, purgeIntervalSecs: 0 }),
+                nonce = { id: '2014-03-13T12:00:00Zijkl', expiry: Date.now() + 300000 },
+                rename = fs.rename;
+
+            store.put(nonce, function(err) {
+                if (err) return done(err);
+
+                var stored = new Date(Date.now() - 120000);
+                fs.readdirSync(directory).forEach(function(name) {
+                    fs.utimesSync(path.join(directory, name), stored, stored);
+                });
+
+                // Purge between claiming the file and reading it
+                fs.rename = function(from, to, next) {
+                    fs.rename = rename;
+                    rename(from, to, function(err) {
+                        if (err) return next(err);
+                        store.purge(next);
+                    });
+                };
+
+                store.getAndDelete(nonce.id, function(err, claimed) {
+                    fs.rename = rename;
+                    if (err) return done(err);
+
+                    assert.deepEqual(claimed, nonce);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('FileConsentStore', function() {
+        it('keeps consents across restarts until they are revoked', function(done) {
+            var realm = 'http://localhost/',
+                provider = new Skylith({ providerEndpoint: 'http://localhost/openid', checkAuth: function() {},
+                                         consentStore: new Skylith.FileConsentStore({ directory: directory, purgeIntervalSecs: 0 }) }),
+                restarted = new Skylith({ providerEndpoint: 'http://localhost/openid', checkAuth: function() {},
+                                          consentStore: new Skylith.FileConsentStore({ directory: directory, purgeIntervalSecs: 0 }) });
+
+            provider.grantConsent('bob', realm, { attributes: ['http://axschema.org/contact/email'] }).then(function() {
+                return restarted.getConsent('bob', realm);
+            }).then(function(consent) {
+                assert.deepEqual(consent.attributes, ['http://axschema.org/contact/email']);
+
+                return restarted.revokeConsent('bob', realm);
+            }).then(function() {
+                return provider.getConsent('bob', realm);
+            }).then(function(consent) {
+                assert.isNull(consent);
+            }).then(done, done);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+var http = require('http'),
+    url = require('url'),
+    stream = require('stream'),
+    request = require('supertest'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    formBody = require('../lib/formBody');
+
+var OPENID_NS = 'http://specs.openid.net/auth/2.0';
+
+function readForm(body, contentType, options, next) {
+    var req = new stream.PassThrough();
+
+    req.method = 'POST';
+    req.headers = { 'content-type': contentType };
+
+    formBody.read(req, options, next);
+    req.end(body);
+}
+
+function createServer(options) {
+    return http.createServer(testHelper.withOptions(options).provider.http());
+}
+
+describe('Form bodies', function() {
+    it('decodes UTF-8', function(done) {
+        readForm('name=J%C3%BCrgen+Smith', 'application/x-www-form-urlencoded', {}, function(err, body) {
+            assert.equal(body.name, 'Jürgen Smith');
+            done(err);
+        });
+    });
+
+    it('decodes ISO-8859-1 when the charset says so', function(done) {
+        readForm('name=J%FCrgen', 'application/x-www-form-urlencoded; charset=ISO-8859-1', {}, function(err, body) {
+            assert.equal(body.name, 'Jürgen');
+            done(err);
+        });
+    });
+
+    it('refuses other charsets', function(done) {
+        readForm('name=x', 'application/x-www-form-urlencoded; charset=shift_jis', {}, function(err) {
+            assert.equal(err.status, 415);
+            done();
+        });
+    });
+
+    it('collects repeated keys', function(done) {
+        readForm('a=1&a=2&b=3', 'application/x-www-form-urlencoded', {}, function(err, body) {
+            assert.deepEqual(body.a, ['1', '2']);
+            assert.equal(body.b, '3');
+            done(err);
+        });
+    });
+
+    it('ignores other content types', function(done) {
+        readForm('{"a":1}', 'application/json', {}, function(err, body) {
+            assert.deepEqual(body, {});
+            done(err);
+        });
+    });
+
+    it('sends a 413 for bodies which are too large', function(done) {
+        request(createServer({ maxBodyBytes: 100 })).post('/openid')
+            .type('form')
+            .send({ 'openid.ns': OPENID_NS, 'openid.mode': 'associate', 'openid.padding': new Array(100).join('x') })
+            .expect(413, 'Request body too large')
+            .end(done);
+    });
+
+    it('sends a 413 for bodies with too many fields', function(done) {
+        request(createServer({ maxBodyFields: 3 })).post('/openid')
+            .type('form')
+            .send({ 'openid.ns': OPENID_NS, 'openid.mode': 'associate', 'openid.a': 'a', 'openid.b': 'b' })
+            .expect(413, 'Too many fields in request body')
+            .end(done);
+    });
+
+    it('is left for the rest of the chain when the request is not for Skylith', function(done) {
+        var handler = testHelper.withOptions().provider.http(),
+            server = http.createServer(function(req, res) {
+                handler(req, res, function() {
+                    res.end(req.body.username);
+                });
+            });
+
+        request(server).post('/openid/login')
+            .type('form')
+            .send({ username: 'bob' })
+            .expect(200, 'bob')
+            .end(done);
+    });
+
+    describe('repeated OpenID fields', function() {
+        it('are rejected in direct requests', function(done) {
+            testHelper.post('/openid')
+                .type('form')
+                .send('openid.ns=' + encodeURIComponent(OPENID_NS) + '&openid.mode=associate' +
+                      '&openid.session_type=DH-SHA256&openid.session_type=no-encryption')
+                .expect(400)
+                .expect(/error:Repeated field: openid.session_type\n/)
+                .end(done);
+        });
+
+        it('are rejected in indirect requests', function(done) {
+            // Straight to the core, as the test client would tidy up the query string
+            testHelper.withOptions({}).provider.handleRequest({
+                method: 'GET',
+                url: '/?openid.ns=' + encodeURIComponent(OPENID_NS) + '&openid.mode=checkid_setup' +
+                     '&openid.return_to=http://localhost/here&openid.realm=http://localhost/&openid.realm=http://elsewhere/',
+                headers: {}
+            }, function(err, response) {
+                if (err) return done(err);
+
+                var query = url.parse(response.headers.Location, true).query;
+                assert.equal(response.status, 302);
+                assert.equal(query['openid.mode'], 'error');
+                assert.equal(query['openid.error'], 'Repeated field: openid.realm');
+                done();
+            });
+        });
+    });
+});
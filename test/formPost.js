@@ -0,0 +1,167 @@
+var cheerio = require('cheerio'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    checkAuth = testHelper.checkAuth;
+
+var OPENID_NS = 'http://specs.openid.net/auth/2.0',
+    AX_NS = 'http://openid.net/srv/ax/1.0';
+
+// Sent without the standard expectations, which only know about redirects
+function checkIdSetup(provider, extra) {
+    var query = { 'openid.return_to': 'http://localhost/here?from=rp' };
+
+    for (var key in extra) {
+        query[key] = extra[key];
+    }
+
+    return testHelper.checkId(provider, 'checkid_setup', query);
+}
+
+function formFields($) {
+    var fields = {};
+
+    $('form input[type="hidden"]').each(function() {
+        fields[$(this).attr('name')] = $(this).attr('value');
+    });
+
+    return fields;
+}
+
+describe('Form POST responses', function() {
+    it('posts responses which would make the URL too long', function(done) {
+        var request = { 'openid.ns.ext1': AX_NS, 'openid.ext1.mode': 'fetch_request', 'openid.ext1.required': '' },
+            axResponse = {},
+            aliases = [];
+
+        for (var i = 0; i < 40; i++) {
+            request['openid.ext1.type.a' + i] = 'http://example.com/schema/attribute' + i;
+            axResponse['http://example.com/schema/attribute' + i] = 'a value which takes up some room ' + i;
+            aliases.push('a' + i);
+        }
+        request['openid.ext1.required'] = aliases.join(',');
+
+        checkIdSetup(testHelper, request)
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: { ax: axResponse }
+            }))
+            .expect(200)
+            .expect('Content-Type', 'text/html; charset=utf-8')
+            .expect(function(res) {
+                var $ = cheerio.load(res.text),
+                    fields = formFields($);
+
+                assert.equal($('form').attr('method'), 'post');
+                assert.equal($('form').attr('action'), 'http://localhost/here?from=rp');
+                assert.equal(fields['openid.ns'], OPENID_NS);
+                assert.equal(fields['openid.mode'], 'id_res');
+                assert.equal(fields['openid.ext1.value.a39'], 'a value which takes up some room 39');
+                assert.include(fields['openid.signed'].split(','), 'ext1.value.a39');
+            })
+            .end(done);
+    });
+
+    it('allows the script with a Content-Security-Policy nonce', function(done) {
+        checkIdSetup(testHelper.withOptions({ maxRedirectUrlLength: 100 }))
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(200)
+            .expect(function(res) {
+                var $ = cheerio.load(res.text),
+                    nonce = $('script').attr('nonce');
+
+                assert.ok(nonce);
+                assert.equal(res.get('Content-Security-Policy'), "default-src 'none'; script-src 'nonce-" + nonce + "'");
+                assert.equal(res.get('Cache-Control'), 'no-store');
+            })
+            .end(done);
+    });
+
+    it('can be asked for when completing', function(done) {
+        checkIdSetup(testHelper)
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                formPost: true
+            }))
+            .expect(200)
+            .expect(function(res) {
+                assert.equal(formFields(cheerio.load(res.text))['openid.mode'], 'id_res');
+            })
+            .end(done);
+    });
+
+    it('can be asked for when rejecting', function(done) {
+        checkIdSetup(testHelper)
+            .expect(checkAuth({
+                succeed: false,
+                ensureInteractive: true,
+                formPost: true
+            }))
+            .expect(200)
+            .expect(function(res) {
+                assert.equal(formFields(cheerio.load(res.text))['openid.mode'], 'cancel');
+            })
+            .end(done);
+    });
+
+    it('escapes the fields', function(done) {
+        checkIdSetup(testHelper.withOptions({ maxRedirectUrlLength: 100 }), {
+                'openid.return_to': 'http://localhost/here?a=1&b=2',
+                'openid.ns.sreg': 'http://openid.net/extensions/sreg/1.1',
+                'openid.sreg.required': 'nickname'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: { sreg: { nickname: '"><b>bob</b>' } }
+            }))
+            .expect(function(res) {
+                var $ = cheerio.load(res.text);
+
+                assert.include(res.text, 'action="http://localhost/here?a=1&amp;b=2"');
+                assert.notInclude(res.text, '<b>');
+                assert.equal(formFields($)['openid.sreg.nickname'], '"><b>bob</b>');
+            })
+            .end(done);
+    });
+
+    it('uses a custom template', function(done) {
+        var template = '<form id="custom" method="post" action="{action}">{inputs}</form>' +
+                       '<script nonce="{nonce}" src="/submit.js"></script>';
+
+        checkIdSetup(testHelper.withOptions({ maxRedirectUrlLength: 100, formPostTemplate: template }))
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(function(res) {
+                var $ = cheerio.load(res.text);
+
+                assert.equal($('form#custom').attr('action'), 'http://localhost/here?from=rp');
+                assert.equal(formFields($)['openid.mode'], 'id_res');
+                assert.equal(res.get('Content-Security-Policy'), "default-src 'none'; script-src 'nonce-" + $('script').attr('nonce') + "'");
+            })
+            .end(done);
+    });
+
+    it('uses a template function', function(done) {
+        checkIdSetup(testHelper.withOptions({
+                maxRedirectUrlLength: 100,
+                formPostTemplate: function(form) {
+                    return 'Posting ' + form.fields['openid.mode'] + ' to ' + form.action;
+                }
+            }))
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(200, 'Posting id_res to http://localhost/here?from=rp')
+            .end(done);
+    });
+});
@@ -0,0 +1,180 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var Skylith = require('../skylith'),
+    MemoryStore = require('../lib/memoryStore');
+
+function entry(id, expirySecs) {
+    return { id: id, expiry: Date.now() + (expirySecs * 1000) };
+}
+
+describe('Memory stores', function() {
+    describe('MemoryStore', function() {
+        var store;
+
+        beforeEach(function() {
+            store = new MemoryStore({ maxEntries: 3, sweepIntervalSecs: 0 });
+        });
+
+        it('does not return expired entries', function() {
+            store.put('a', entry('a', -1));
+            assert.isUndefined(store.get('a'));
+            assert.equal(store.size(), 0);
+        });
+
+        it('evicts the least recently used entry when full', function() {
+            store.put('a', entry('a', 30));
+            store.put('b', entry('b', 30));
+            store.put('c', entry('c', 30));
+            store.get('a');
+            store.put('d', entry('d', 30));
+
+            assert.equal(store.size(), 3);
+            assert.isUndefined(store.get('b'));
+            assert.equal(store.get('a').id, 'a');
+            assert.equal(store.get('c').id, 'c');
+            assert.equal(store.get('d').id, 'd');
+        });
+
+        it('replaces entries with the same key', function() {
+            store.put('a', entry('a', 30));
+            store.put('a', entry('a2', 30));
+
+            assert.equal(store.size(), 1);
+            assert.equal(store.get('a').id, 'a2');
+        });
+
+        it('sweeps expired entries', function() {
+            store.put('a', entry('a', -1));
+            store.put('b', entry('b', 30));
+            store.put('c', entry('c', -1));
+            store.sweep();
+
+            assert.equal(store.size(), 1);
+            assert.equal(store.get('b').id, 'b');
+        });
+
+        it('copes with keys which look like Object.prototype properties', function() {
+            store.put('constructor', entry('constructor', 30));
+            assert.isUndefined(store.get('toString'));
+            assert.equal(store.get('constructor').id, 'constructor');
+        });
+
+        it('sweeps periodically until closed', function(done) {
+            var sweeping = new MemoryStore({ sweepIntervalSecs: 0.01 });
+
+            sweeping.put('a', entry('a', 0.005));
+
+            setTimeout(function() {
+                assert.equal(sweeping.size(), 0);
+                sweeping.close();
+                done();
+            }, 50);
+        });
+    });
+
+    describe('MemoryNonceStore', function() {
+        it('does not return expired nonces', function(done) {
+            var store = new Skylith.MemoryNonceStore({ sweepIntervalSecs: 0 });
+
+            store.put(entry('n', -1), function(err) {
+                store.getAndDelete('n', function(err, nonce) {
+                    assert.isUndefined(nonce);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    describe('MemoryAssociationStore', function() {
+        it('refuses new shared associations when full, rather than dropping ones in use', function(done) {
+            var store = new Skylith.MemoryAssociationStore({ maxEntries: 1, sweepIntervalSecs: 0 });
+
+            store.put({ handle: 'a', expiry: Date.now() + 30000, private: false }, function(err) {
+                if (err) return done(err);
+
+                store.put({ handle: 'b', expiry: Date.now() + 30000, private: false }, function(err) {
+                    assert.equal(err.message, 'Too many associations');
+                    assert.equal(err.status, 503);
+
+                    store.get('a', function(err, association) {
+                        assert.equal(association.handle, 'a');
+                        store.close();
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it('keeps private associations apart from shared ones', function(done) {
+            var store = new Skylith.MemoryAssociationStore({ maxEntries: 1, sweepIntervalSecs: 0 });
+
+            store.put({ handle: 'p', expiry: Date.now() + 30000, private: true }, function(err) {
+                if (err) return done(err);
+
+                store.put({ handle: 's', expiry: Date.now() + 30000, private: false }, function(err) {
+                    if (err) return done(err);
+
+                    store.get('p', function(err, association) {
+                        assert.equal(association.handle, 'p');
+                        store.close();
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it('honours maxEntries for private associations', function(done) {
+            var store = new Skylith.MemoryAssociationStore({ maxEntries: 1, sweepIntervalSecs: 0 });
+
+            store.put({ handle: 'a', expiry: Date.now() + 30000, private: true }, function(err) {
+                store.put({ handle: 'b', expiry: Date.now() + 30000, private: true }, function(err) {
+                    store.get('a', function(err, association) {
+                        assert.isUndefined(association);
+                        store.close();
+                        done(err);
+                    });
+                });
+            });
+        });
+    });
+
+    describe('MemoryPendingRequestStore', function() {
+        it('refuses new requests when full, rather than dropping ones under way', function(done) {
+            var store = new Skylith.MemoryPendingRequestStore({ maxEntries: 1, sweepIntervalSecs: 0 });
+
+            store.put({ handle: 'a', expiry: Date.now() + 30000 }, function(err) {
+                if (err) return done(err);
+
+                store.put({ handle: 'b', expiry: Date.now() + 30000 }, function(err) {
+                    assert.equal(err.message, 'Too many pending requests');
+                    assert.equal(err.status, 503);
+
+                    store.getAndDelete('a', function(err, pendingRequest) {
+                        assert.equal(pendingRequest.handle, 'a');
+                        store.close();
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it('makes room by dropping expired requests', function(done) {
+            var store = new Skylith.MemoryPendingRequestStore({ maxEntries: 1, sweepIntervalSecs: 0 });
+
+            store.put({ handle: 'a', expiry: Date.now() - 1000 }, function(err) {
+                if (err) return done(err);
+
+                store.put({ handle: 'b', expiry: Date.now() + 30000 }, function(err) {
+                    if (err) return done(err);
+
+                    store.getAndDelete('b', function(err, pendingRequest) {
+                        assert.equal(pendingRequest.handle, 'b');
+                        store.close();
+                        done(err);
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,178 @@
+var crypto = require('crypto'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    checkAuth = testHelper.checkAuth,
+    error = testHelper.error,
+    MetricsRegistry = require('../lib/metrics');
+
+var DH_MODULUS_HEX = 'DCF93A0B883972EC0E19989AC5A2CE310E1D37717E8D9571BB7623731866E61E' +
+                     'F75A2E27898B057F9891C2E27A639C3F29B60814581CD3B2CA3986D268370557' +
+                     '7D45C2E7E52DC81C7A171876E5CEA74B1448BFDFAF18828EFD2519F14E45E382' +
+                     '6634AF1949E5B535CC829A483B8A76223E5D490A257F05BDFF16F2FB22C583AB';
+
+describe('Metrics', function() {
+    describe('registry', function() {
+        it('renders counters', function() {
+            var registry = new MetricsRegistry(),
+                counter = registry.counter('things_total', 'Things', ['kind']);
+
+            counter.inc({ kind: 'a' });
+            counter.inc({ kind: 'a' });
+            counter.inc({ kind: 'say "hi"\n' }, 3);
+
+            assert.equal(registry.render(),
+                         '# HELP things_total Things\n' +
+                         '# TYPE things_total counter\n' +
+                         'things_total{kind="a"} 2\n' +
+                         'things_total{kind="say \\"hi\\"\\n"} 3\n');
+        });
+
+        it('renders histograms', function() {
+            var registry = new MetricsRegistry(),
+                histogram = registry.histogram('took_seconds', 'Time taken', [], [0.1, 1]);
+
+            histogram.observe({}, 0.05);
+            histogram.observe({}, 0.5);
+            histogram.observe({}, 5);
+
+            assert.equal(registry.render(),
+                         '# HELP took_seconds Time taken\n' +
+                         '# TYPE took_seconds histogram\n' +
+                         'took_seconds_bucket{le="0.1"} 1\n' +
+                         'took_seconds_bucket{le="1"} 2\n' +
+                         'took_seconds_bucket{le="+Inf"} 3\n' +
+                         'took_seconds_sum 5.55\n' +
+                         'took_seconds_count 3\n');
+        });
+    });
+
+    describe('provider', function() {
+        var app;
+
+        beforeEach(function() {
+            app = testHelper.withOptions({ metricsPath: '/metrics' });
+        });
+
+        afterEach(function() {
+            app.provider.close();
+        });
+
+        it('counts associations and times the key exchange', function(done) {
+            var dh = crypto.createDiffieHellman(DH_MODULUS_HEX, 'hex');
+
+            app.post('/openid', {
+                    mode: 'associate',
+                    assoc_type: 'HMAC-SHA1',
+                    session_type: 'DH-SHA1',
+                    dh_consumer_public: dh.generateKeys('base64')
+                })
+                .expect(200)
+                .end(function(err) {
+                    if (err) return done(err);
+
+                    app.get('/openid/metrics')
+                        .expect(200)
+                        .expect('Content-Type', 'text/plain; version=0.0.4')
+                        .expect(/skylith_associations_total\{assoc_type="HMAC-SHA1",session_type="DH-SHA1"\} 1\n/)
+                        .expect(/skylith_dh_duration_seconds_count\{session_type="DH-SHA1"\} 1\n/)
+                        .expect(/skylith_store_duration_seconds_count\{store="association",operation="put"\} 1\n/)
+                        .end(done);
+                });
+        });
+
+        it('times key exchanges which fail', function(done) {
+            app.post('/openid', {
+                    mode: 'associate',
+                    assoc_type: 'HMAC-SHA1',
+                    session_type: 'DH-SHA1',
+                    dh_consumer_public: 'AA=='
+                })
+                .expect(400)
+                .end(function(err) {
+                    if (err) return done(err);
+
+                    app.get('/openid/metrics')
+                        .expect(200)
+                        .expect(/skylith_dh_duration_seconds_count\{session_type="DH-SHA1"\} 1\n/)
+                        .end(done);
+                });
+        });
+
+        it('counts positive and negative assertions', function(done) {
+            app.get('/openid', {
+                    mode: 'checkid_setup',
+                    realm: 'http://localhost/',
+                    return_to: 'http://localhost/here'
+                })
+                .expect(checkAuth({
+                    identity: 'bob',
+                    ensureInteractive: true
+                }))
+                .end(function(err) {
+                    if (err) return done(err);
+
+                    app.get('/openid', {
+                            mode: 'checkid_setup',
+                            realm: 'http://localhost/',
+                            return_to: 'http://localhost/here'
+                        })
+                        .expect(checkAuth({
+                            succeed: false,
+                            ensureInteractive: true
+                        }))
+                        .end(function(err) {
+                            if (err) return done(err);
+
+                            assert.match(app.provider.metrics(), /skylith_assertions_total\{result="positive"\} 1\n/);
+                            assert.match(app.provider.metrics(), /skylith_assertions_total\{result="negative"\} 1\n/);
+                            done();
+                        });
+                });
+        });
+
+        it('counts rejected requests without trusting the mode', function(done) {
+            app.post('/openid', { mode: 'made_up' })
+                .expect(error('Unknown or unsupported direct request'))
+                .end(function(err) {
+                    assert.match(app.provider.metrics(), /skylith_rejected_requests_total\{mode="other"\} 1\n/);
+                    done(err);
+                });
+        });
+
+        it('counts store errors', function(done) {
+            var app = testHelper.withOptions({
+                nonceStore: {
+                    getAndDelete: function(id, next) {
+                        next(new Error('Nonce store unavailable'));
+                    }
+                }
+            });
+
+            // Sent by hand, because a 500 isn't an OpenID response
+            app.post('/openid')
+                .type('form')
+                .send({
+                    'openid.ns': 'http://specs.openid.net/auth/2.0',
+                    'openid.mode': 'check_authentication',
+                    'openid.assoc_handle': 'nonsense',
+                    'openid.response_nonce': new Date().toISOString().slice(0, -5) + 'Zabc',
+                    'openid.signed': 'mode',
+                    'openid.sig': 'c2ln'
+                })
+                .expect(500)
+                .end(function(err) {
+                    assert.match(app.provider.metrics(), /skylith_store_errors_total\{store="nonce",operation="getAndDelete"\} 1\n/);
+                    assert.match(app.provider.metrics(), /skylith_internal_errors_total 1\n/);
+                    done(err);
+                });
+        });
+
+        it('only serves metrics when asked to', function(done) {
+            testHelper.get('/openid/metrics')
+                .expect(404)
+                .end(done);
+        });
+    });
+});
@@ -0,0 +1,194 @@
+var crypto = require('crypto'),
+    url = require('url'),
+    cheerio = require('cheerio'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth,
+    isDelegated = testHelper.isDelegated,
+    error = testHelper.error;
+
+var DH_MODULUS_HEX = 'DCF93A0B883972EC0E19989AC5A2CE310E1D37717E8D9571BB7623731866E61E' +
+                     'F75A2E27898B057F9891C2E27A639C3F29B60814581CD3B2CA3986D268370557' +
+                     '7D45C2E7E52DC81C7A171876E5CEA74B1448BFDFAF18828EFD2519F14E45E382' +
+                     '6634AF1949E5B535CC829A483B8A76223E5D490A257F05BDFF16F2FB22C583AB';
+
+describe('OpenID 1.1 compatibility', function() {
+    var provider = testHelper.withOptions({ openId1Compatibility: true });
+
+    it('is off by default', function(done) {
+        // Sent without the standard expectations, since Skylith should leave it alone
+        testHelper.post('/openid')
+            .type('form')
+            .send({
+                'openid.mode': 'checkid_setup',
+                'openid.trust_root': 'http://localhost/',
+                'openid.return_to': 'http://localhost/here'
+            })
+            .expect(404)
+            .expect(isDelegated())
+            .end(done);
+    });
+
+    it('accepts namespace-less checkid_setup requests', function(done) {
+        provider.get('/openid', {
+                ns: null,
+                mode: 'checkid_setup',
+                identity: testHelper.identity('bob'),
+                trust_root: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                identity: testHelper.identity('bob'),
+                claimed_id: undefined,
+                op_endpoint: undefined
+            }))
+            .expect(function(res) {
+                assert.notInclude(res.resParams['openid.signed'].split(','), 'ns');
+            })
+            .end(done);
+    });
+
+    it('accepts the OpenID 1.1 namespace', function(done) {
+        provider.get('/openid', {
+                ns: 'http://openid.net/signon/1.1',
+                mode: 'checkid_setup',
+                trust_root: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(openIdFields({
+                mode: 'id_res'
+            }))
+            .end(done);
+    });
+
+    it('validates the return_to URL against the trust root', function(done) {
+        provider.get('/openid', {
+                ns: null,
+                mode: 'checkid_setup',
+                trust_root: 'http://localhost/app/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(error('The return_to URL does not match the realm'))
+            .end(done);
+    });
+
+    it('sends user_setup_url when checkid_immediate fails', function(done) {
+        provider.get('/openid', {
+                ns: null,
+                mode: 'checkid_immediate',
+                identity: testHelper.identity('bob'),
+                trust_root: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                succeed: false,
+                identity: 'bob',
+                ensureInteractive: false
+            }))
+            .expect(openIdFields({
+                mode: 'id_res'
+            }))
+            .expect(function(res) {
+                var setupUrl = url.parse(res.resParams['openid.user_setup_url'], true);
+
+                assert.equal(setupUrl.protocol + '//' + setupUrl.host + setupUrl.pathname, testHelper.endpoint);
+                assert.equal(setupUrl.query['openid.mode'], 'checkid_setup');
+                assert.equal(setupUrl.query['openid.trust_root'], 'http://localhost/');
+                assert.equal(setupUrl.query['openid.return_to'], 'http://localhost/here');
+            })
+            .end(done);
+    });
+
+    describe('associate', function() {
+        it('creates DH-SHA1 associations', function(done) {
+            var dh = crypto.createDiffieHellman(DH_MODULUS_HEX, 'hex');
+
+            provider.post('/openid', {
+                    ns: null,
+                    mode: 'associate',
+                    session_type: 'DH-SHA1',
+                    dh_consumer_public: dh.generateKeys('base64')
+                })
+                .expect(200)
+                .expect(openIdFields({
+                    assoc_type: 'HMAC-SHA1',
+                    session_type: 'DH-SHA1'
+                }))
+                .expect(function(res) {
+                    // Throws if the server's public key is unusable
+                    dh.computeSecret(res.resParams['openid.dh_server_public'], 'base64');
+                    assert.equal(Buffer.from(res.resParams['openid.enc_mac_key'], 'base64').length, 20);
+                })
+                .end(done);
+        });
+
+        it('only offers SHA1', function(done) {
+            provider.post('/openid', {
+                    ns: null,
+                    mode: 'associate',
+                    assoc_type: 'HMAC-SHA256',
+                    session_type: 'DH-SHA256'
+                })
+                .expect(error('Association type not supported by OpenID 1.x: HMAC-SHA256'))
+                .expect(openIdFields({
+                    error_code: 'unsupported-type',
+                    session_type: 'DH-SHA1',
+                    assoc_type: 'HMAC-SHA1'
+                }))
+                .end(done);
+        });
+
+        it('treats a missing session type as no encryption', function(done) {
+            provider.post('/openid', {
+                    ns: null,
+                    mode: 'associate'
+                })
+                .expect(error('Cannot create a "no-encryption" session without using HTTPS'))
+                .end(done);
+        });
+    });
+
+    describe('discovery', function() {
+        it('advertises OpenID 1.1 in user XRDS documents', function(done) {
+            provider.get('/openid?u=bob')
+                .accept('application/xrds+xml')
+                .expect(200)
+                .expect(/<Type>http:\/\/openid.net\/signon\/1.1<\/Type>/)
+                .end(done);
+        });
+
+        it('does not advertise OpenID 1.1 in the server XRDS document', function(done) {
+            provider.get('/openid')
+                .accept('application/xrds+xml')
+                .expect(200)
+                .expect(function(res) {
+                    assert.notInclude(res.text, 'http://openid.net/signon/1.1');
+                })
+                .end(done);
+        });
+
+        it('adds OpenID 1.1 links to user HTML documents', function(done) {
+            provider.get('/openid?u=bob')
+                .accept('text/html')
+                .expect(200)
+                .expect(function(res) {
+                    var $ = cheerio.load(res.text);
+                    assert.equal($('html>head>link[rel="openid.server"]').attr('href'), testHelper.endpoint);
+                    assert.equal($('html>head>link[rel="openid.delegate"]').attr('href'), testHelper.identity('bob'));
+                })
+                .end(done);
+        });
+    });
+});
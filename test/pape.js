@@ -0,0 +1,137 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth;
+
+var PAPE_NS = 'http://specs.openid.net/extensions/pape/1.0',
+    NIST = 'http://csrc.nist.gov/publications/nistpubs/800-63/SP800-63V1_0_2.pdf',
+    PHISHING_RESISTANT = 'http://schemas.openid.net/pape/policies/2007/06/phishing-resistant',
+    MULTI_FACTOR = 'http://schemas.openid.net/pape/policies/2007/06/multi-factor',
+    NONE = 'http://schemas.openid.net/pape/policies/2007/06/none';
+
+describe('Provider Authentication Policy Extension', function() {
+    it('parses a PAPE request into the context', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.pape': PAPE_NS,
+                'pape.max_auth_age': '300',
+                'pape.preferred_auth_policies': PHISHING_RESISTANT + ' ' + MULTI_FACTOR,
+                'pape.auth_level.ns.nist': NIST,
+                'pape.preferred_auth_level_types': 'nist'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.strictEqual(context.pape.max_auth_age, 300);
+                    assert.deepEqual(context.pape.preferred_auth_policies, [PHISHING_RESISTANT, MULTI_FACTOR]);
+                    assert.deepEqual(context.pape.preferred_auth_level_types, [NIST]);
+                }
+            }))
+            .end(done);
+    });
+
+    it('ignores an invalid max_auth_age', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.pape': PAPE_NS,
+                'pape.max_auth_age': 'yesterday'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.isUndefined(context.pape.max_auth_age);
+                    assert.deepEqual(context.pape.preferred_auth_policies, []);
+                }
+            }))
+            .end(done);
+    });
+
+    it('returns signed policies and authentication time', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.p': PAPE_NS,
+                'p.preferred_auth_policies': MULTI_FACTOR
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    pape: {
+                        auth_policies: [MULTI_FACTOR],
+                        auth_time: new Date(Date.UTC(2014, 2, 1, 12, 30, 15, 123))
+                    }
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                'ns.p': PAPE_NS,
+                'p.auth_policies': MULTI_FACTOR,
+                'p.auth_time': '2014-03-01T12:30:15Z'
+            }))
+            .expect(function(res) {
+                var signed = res.resParams['openid.signed'].split(',');
+                assert.include(signed, 'p.auth_policies');
+                assert.include(signed, 'p.auth_time');
+            })
+            .end(done);
+    });
+
+    it('returns NIST assurance levels', function(done) {
+        var levels = {};
+        levels[NIST] = 2;
+
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.pape': PAPE_NS,
+                'pape.auth_level.ns.nist': NIST,
+                'pape.preferred_auth_level_types': 'nist'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    pape: {
+                        auth_levels: levels
+                    }
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                'pape.auth_level.ns.nist': NIST,
+                'pape.auth_level.nist': '2'
+            }))
+            .end(done);
+    });
+
+    it('sends the "none" policy when no policies were satisfied', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.pape': PAPE_NS,
+                'pape.preferred_auth_policies': PHISHING_RESISTANT
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                'pape.auth_policies': NONE,
+                'pape.auth_time': undefined
+            }))
+            .end(done);
+    });
+});
@@ -0,0 +1,257 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var url = require('url'),
+    testHelper = require('./test-helper'),
+    responseParams = testHelper.responseParams,
+    Skylith = require('../skylith');
+
+function checkIdSetup(op) {
+    return testHelper.checkId(op, 'checkid_setup');
+}
+
+function expectAssertion(res) {
+    assert.equal(res.status, 302);
+    assert.equal(responseParams(res)['openid.mode'], 'id_res');
+    assert.equal(responseParams(res)['openid.return_to'], 'http://localhost/here');
+}
+
+describe('Pending requests', function() {
+    [
+        ['in a store', {}],
+        ['in stateless handles', { pendingRequestSecret: 'correct horse battery staple' }]
+    ].forEach(function(pair) {
+        function withOptions(options) {
+            var result = {};
+
+            [pair[1], options].forEach(function(fields) {
+                for (var key in fields) {
+                    result[key] = fields[key];
+                }
+            });
+
+            return testHelper.withOptions(result);
+        }
+
+        describe(pair[0], function() {
+            it('completes the request with the handle', function(done) {
+                var op = withOptions({
+                        checkAuth: function(req, res, interactive, context) {
+                            assert.isString(context.handle);
+                            op.provider.completeAuth(req, res, context.handle, { identity: 'bob' }).catch(done);
+                        }
+                    });
+
+                checkIdSetup(op)
+                    .expect(expectAssertion)
+                    .end(done);
+            });
+
+            it('rejects the request with the handle', function(done) {
+                var op = withOptions({
+                        checkAuth: function(req, res, interactive, context) {
+                            op.provider.rejectAuth(req, res, context.handle).catch(done);
+                        }
+                    });
+
+                checkIdSetup(op)
+                    .expect(302)
+                    .expect(function(res) {
+                        assert.equal(responseParams(res)['openid.mode'], 'cancel');
+                    })
+                    .end(done);
+            });
+
+            it('only uses each handle once', function(done) {
+                var secondAttempt,
+                    op = withOptions({
+                        checkAuth: function(req, res, interactive, context) {
+                            op.provider.completeAuth(req, res, context.handle, { identity: 'bob' }).then(function() {
+                                return op.provider.completeAuthResponse(context.handle, { identity: 'bob' });
+                            }).catch(function(err) {
+                                secondAttempt = err;
+                            });
+                        }
+                    });
+
+                checkIdSetup(op)
+                    .expect(expectAssertion)
+                    .end(function(err) {
+                        if (err) return done(err);
+
+                        setImmediate(function() {
+                            assert.equal(secondAttempt && secondAttempt.message, 'Unknown, expired or already used request handle');
+                            done();
+                        });
+                    });
+            });
+
+            it('ignores changes to the context', function(done) {
+                var op = withOptions({
+                        checkAuth: function(req, res, interactive, context) {
+                            context.request.return_to = 'http://attacker.example.com/';
+                            context.identity = { select: false, expected: 'mallory', claimedId: 'http://mallory/', localId: 'http://mallory/' };
+                            op.provider.completeAuth(req, res, { context: context, identity: 'bob' }).catch(done);
+                        }
+                    });
+
+                checkIdSetup(op)
+                    .expect(expectAssertion)
+                    .expect(function(res) {
+                        assert.equal(responseParams(res)['openid.claimed_id'], testHelper.identity('bob'));
+                    })
+                    .end(done);
+            });
+
+            it('refuses expired handles', function(done) {
+                var op = withOptions({
+                        pendingRequestExpirySecs: 60,
+                        checkAuth: function(req, res, interactive, context) {
+                            var now = Date.now;
+
+                            Date.now = function() { return now() + 61000; };
+                            op.provider.completeAuth(req, res, context.handle, { identity: 'bob' }, function(err) {
+                                Date.now = now;
+                                res.send(400, err.message);
+                            });
+                        }
+                    });
+
+                checkIdSetup(op)
+                    .expect(400, 'Unknown, expired or already used request handle')
+                    .end(done);
+            });
+
+            it('refuses new requests when the memory store is full, rather than losing ones under way', function(done) {
+                var handle,
+                    op = withOptions({
+                        pendingRequestStore: new Skylith.MemoryPendingRequestStore({ maxEntries: 1, sweepIntervalSecs: 0 }),
+                        checkAuth: function(req, res, interactive, context) {
+                            handle = context.handle;
+                            res.send(200, 'Log in');
+                        }
+                    });
+
+                checkIdSetup(op).expect(200).end(function(err) {
+                    if (err) return done(err);
+
+                    checkIdSetup(op).expect(503, 'Handled: Too many pending requests').end(function(err) {
+                        if (err) return done(err);
+
+                        op.provider.completeAuthResponse(handle, { identity: 'bob' }).then(function(response) {
+                            assert.equal(url.parse(response.headers.Location, true).query['openid.mode'], 'id_res');
+                        }).then(done, done);
+                    });
+                });
+            });
+
+            it('refuses unknown handles', function(done) {
+                var op = withOptions({
+                        checkAuth: function(req, res, interactive, context) {
+                            op.provider.completeAuth(req, res, context.handle + 'x', { identity: 'bob' }).catch(function(err) {
+                                res.send(400, err.message);
+                            });
+                        }
+                    });
+
+                checkIdSetup(op)
+                    .expect(400, 'Unknown, expired or already used request handle')
+                    .end(done);
+            });
+        });
+    });
+
+    it('keeps pending requests in the given store', function(done) {
+        var stored = {},
+            op = testHelper.withOptions({
+                pendingRequestStore: {
+                    put: function(pending) {
+                        stored[pending.handle] = pending;
+                        return Promise.resolve();
+                    },
+                    getAndDelete: function(handle) {
+                        var pending = stored[handle];
+                        delete stored[handle];
+                        return Promise.resolve(pending);
+                    }
+                },
+                checkAuth: function(req, res, interactive, context) {
+                    assert.equal(stored[context.handle].context.request.return_to, 'http://localhost/here');
+                    op.provider.completeAuth(req, res, context.handle, { identity: 'bob' }).then(function() {
+                        assert.deepEqual(stored, {});
+                    }).catch(done);
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(expectAssertion)
+            .end(done);
+    });
+
+    it('keeps only a marker in the pending request store for stateless handles', function(done) {
+        var stored = {},
+            op = testHelper.withOptions({
+                pendingRequestSecret: 'correct horse battery staple',
+                pendingRequestStore: {
+                    put: function(pending) {
+                        stored[pending.handle] = pending;
+                        return Promise.resolve();
+                    },
+                    getAndDelete: function(handle) {
+                        var pending = stored[handle];
+                        delete stored[handle];
+                        return Promise.resolve(pending);
+                    }
+                },
+                checkAuth: function(req, res, interactive, context) {
+                    var keys = Object.keys(stored);
+
+                    assert.lengthOf(keys, 1);
+                    assert.notEqual(keys[0], context.handle);
+                    assert.isUndefined(stored[keys[0]].context);
+
+                    op.provider.completeAuth(req, res, context.handle, { identity: 'bob' }).then(function() {
+                        assert.deepEqual(stored, {});
+                    }).catch(done);
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(expectAssertion)
+            .end(done);
+    });
+
+    it('refuses stateless handles which have been tampered with', function(done) {
+        var op = testHelper.withOptions({
+                pendingRequestSecret: 'correct horse battery staple',
+                checkAuth: function(req, res, interactive, context) {
+                    var handle = context.handle,
+                        tampered = handle.slice(0, 50) + (handle.charAt(50) === 'A' ? 'B' : 'A') + handle.slice(51);
+
+                    op.provider.completeAuth(req, res, tampered, { identity: 'bob' }).catch(function(err) {
+                        res.send(400, err.message);
+                    });
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(400, 'Unknown, expired or already used request handle')
+            .end(done);
+    });
+
+    it('refuses stateless handles made with a different secret', function(done) {
+        var other = testHelper.withOptions({ pendingRequestSecret: 'another secret' }),
+            op = testHelper.withOptions({
+                pendingRequestSecret: 'correct horse battery staple',
+                checkAuth: function(req, res, interactive, context) {
+                    other.provider.completeAuth(req, res, context.handle, { identity: 'bob' }).catch(function(err) {
+                        res.send(400, err.message);
+                    });
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(400, 'Unknown, expired or already used request handle')
+            .end(done);
+    });
+});
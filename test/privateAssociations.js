@@ -0,0 +1,200 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    Skylith = require('../skylith'),
+    PrivateAssociations = require('../lib/privateAssociations');
+
+var OPENID_NS = 'http://specs.openid.net/auth/2.0',
+    KEY = { id: 'k1', secret: 'the first master key' };
+
+// Stands in for a shared store, which isn't needed
+var unusableStore = {
+    put: function() { throw new Error('Should not be used'); },
+    get: function() { throw new Error('Should not be used'); },
+    delete: function() { throw new Error('Should not be used'); }
+};
+
+// Another node in the cluster, sharing the nonce store but not the association store
+function createNode(keys, nonceStore, extra) {
+    var options = {
+            privateAssociationKeys: keys,
+            associationStore: unusableStore,
+            nonceStore: nonceStore,
+            checkAuth: function(req, res, interactive, context) {
+                return op.provider.completeAuth(req, res, context.handle, { identity: 'bob' });
+            }
+        };
+
+    for (var key in extra) {
+        options[key] = extra[key];
+    }
+
+    var op = testHelper.withOptions(options);
+
+    return op;
+}
+
+function assertion(op, next) {
+    testHelper.checkId(op, 'checkid_setup')
+        .expect(302)
+        .end(function(err, res) {
+            if (err) return next(err);
+
+            next(null, testHelper.responseParams(res));
+        });
+}
+
+function checkAuthentication(op, params) {
+    var fields = {};
+
+    for (var key in params) {
+        fields[key] = params[key];
+    }
+    fields['openid.mode'] = 'check_authentication';
+
+    return op.post('/openid').type('form').send(fields);
+}
+
+function isValid(valid) {
+    return 'is_valid:' + valid + '\nns:' + OPENID_NS + '\n';
+}
+
+describe('Private associations from a master key', function() {
+    var nonceStore;
+
+    beforeEach(function() {
+        nonceStore = new Skylith.MemoryNonceStore();
+    });
+
+    afterEach(function() {
+        nonceStore.close();
+    });
+
+    it('can be checked by another node without the association store', function(done) {
+        assertion(createNode([KEY], nonceStore), function(err, params) {
+            if (err) return done(err);
+
+            assert.match(params['openid.assoc_handle'], /^sk1\.k1\.[0-9]+\.sha256\.[0-9a-f]{32}$/);
+
+            checkAuthentication(createNode([KEY], nonceStore), params)
+                .expect(200, isValid(true))
+                .end(done);
+        });
+    });
+
+    it('cannot be checked without the key', function(done) {
+        assertion(createNode([KEY], nonceStore), function(err, params) {
+            if (err) return done(err);
+
+            checkAuthentication(createNode([{ id: 'k1', secret: 'a different key' }], nonceStore), params)
+                .expect(200, isValid(false))
+                .end(done);
+        });
+    });
+
+    it('cannot be checked once they have expired', function(done) {
+        assertion(createNode([KEY], nonceStore, { associationExpirySecs: 1 }), function(err, params) {
+            if (err) return done(err);
+
+            var now = Date.now;
+            Date.now = function() { return now() + 2000; };
+
+            checkAuthentication(createNode([KEY], nonceStore), params)
+                .expect(200, isValid(false))
+                .end(function(err) {
+                    Date.now = now;
+                    done(err);
+                });
+        });
+    });
+
+    it('cannot have their expiry changed', function(done) {
+        assertion(createNode([KEY], nonceStore), function(err, params) {
+            if (err) return done(err);
+
+            var handle = params['openid.assoc_handle'].split('.');
+            handle[2] = String(parseInt(handle[2], 10) + 60000);
+            params['openid.assoc_handle'] = handle.join('.');
+
+            checkAuthentication(createNode([KEY], nonceStore), params)
+                .expect(200, isValid(false))
+                .end(done);
+        });
+    });
+
+    describe('key rotation', function() {
+        var NEW_KEY = { id: 'k2', secret: 'the second master key' };
+
+        it('signs with the new key', function(done) {
+            var op = createNode([KEY], nonceStore);
+
+            op.provider.rotatePrivateAssociationKey(NEW_KEY);
+
+            assertion(op, function(err, params) {
+                if (err) return done(err);
+
+                assert.match(params['openid.assoc_handle'], /^sk1\.k2\./);
+
+                checkAuthentication(createNode([NEW_KEY, KEY], nonceStore), params)
+                    .expect(200, isValid(true))
+                    .end(done);
+            });
+        });
+
+        it('checks signatures made with the previous key for the grace period', function(done) {
+            var op = createNode([KEY], nonceStore);
+
+            assertion(op, function(err, params) {
+                if (err) return done(err);
+
+                op.provider.rotatePrivateAssociationKey(NEW_KEY);
+
+                checkAuthentication(op, params)
+                    .expect(200, isValid(true))
+                    .end(done);
+            });
+        });
+
+        it('forgets the previous key after the grace period', function(done) {
+            var op = createNode([KEY], nonceStore, { associationExpirySecs: 60, privateAssociationKeyGraceSecs: 1 });
+
+            assertion(op, function(err, params) {
+                if (err) return done(err);
+
+                op.provider.rotatePrivateAssociationKey(NEW_KEY);
+
+                var now = Date.now;
+                Date.now = function() { return now() + 2000; };
+
+                checkAuthentication(op, params)
+                    .expect(200, isValid(false))
+                    .end(function(err) {
+                        Date.now = now;
+                        done(err);
+                    });
+            });
+        });
+
+        it('honours expiry dates on configured keys', function() {
+            var privateAssociations = new PrivateAssociations({
+                    keys: [NEW_KEY, { id: 'k1', secret: KEY.secret, expiry: new Date(Date.now() - 1000) }]
+                }),
+                handle = new PrivateAssociations({ keys: [KEY] }).create('sha256', 30).handle;
+
+            assert.isNull(privateAssociations.find(handle));
+        });
+    });
+
+    it('refuses unusable keys', function() {
+        assert.throws(function() {
+            new PrivateAssociations({ keys: [] });
+        }, 'At least one private association key is required');
+        assert.throws(function() {
+            new PrivateAssociations({ keys: [{ id: 'k.1', secret: 'secret' }] });
+        }, 'Invalid private association key id: k.1');
+        assert.throws(function() {
+            new PrivateAssociations({ keys: [KEY, KEY] });
+        }, 'Duplicate private association key id: k1');
+    });
+});
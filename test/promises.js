@@ -0,0 +1,219 @@
+var url = require('url'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    endpoint = testHelper.endpoint,
+    responseParams = testHelper.responseParams,
+    promises = require('../lib/promises'),
+    Skylith = require('../skylith');
+
+var OPENID_NS = 'http://specs.openid.net/auth/2.0';
+
+function checkIdSetup(op, identity) {
+    return testHelper.checkId(op, 'checkid_setup', identity ? { 'openid.claimed_id': identity, 'openid.identity': identity } : {});
+}
+
+// Stores which only return promises
+function promiseStore(keyField) {
+    var entries = {};
+
+    return {
+        put: function(entry) {
+            entries[entry[keyField]] = entry;
+            return Promise.resolve();
+        },
+        get: function(key) {
+            return Promise.resolve(entries[key]);
+        },
+        delete: function(key) {
+            delete entries[key];
+            return Promise.resolve();
+        },
+        getAndDelete: function(key) {
+            var entry = entries[key];
+            delete entries[key];
+            return Promise.resolve(entry);
+        }
+    };
+}
+
+describe('Promises', function() {
+    it('supports stores which return promises', function(done) {
+        var op = testHelper.withOptions({
+                associationStore: promiseStore('handle'),
+                nonceStore: promiseStore('id'),
+                checkAuth: function(req, res, interactive, context) {
+                    return op.provider.completeAuth(req, res, { context: context, identity: 'bob' });
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(302)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var params = responseParams(res);
+                params['openid.mode'] = 'check_authentication';
+
+                op.post('/openid')
+                    .type('form')
+                    .send(params)
+                    .expect(200, 'is_valid:true\nns:' + OPENID_NS + '\n')
+                    .end(done);
+            });
+    });
+
+    it('passes rejections from stores to the error handler', function(done) {
+        var store = promiseStore('id');
+
+        store.getAndDelete = function() {
+            return Promise.reject(new Error('Nonce store unavailable'));
+        };
+
+        var op = testHelper.withOptions({
+                nonceStore: store,
+                checkAuth: function() {}
+            });
+
+        op.post('/openid')
+            .type('form')
+            .send({ 'openid.ns': OPENID_NS, 'openid.mode': 'check_authentication', 'openid.assoc_handle': 'nonsense',
+                    'openid.response_nonce': new Date().toISOString().slice(0, -5) + 'Zabc' })
+            .expect(500, 'Handled: Nonce store unavailable')
+            .end(done);
+    });
+
+    it('answers a check_authentication without openid.signed once a store has called back', function(done) {
+        var op = testHelper.withOptions({
+                associationStore: promiseStore('handle'),
+                nonceStore: promiseStore('id'),
+                checkAuth: function(req, res, interactive, context) {
+                    op.provider.completeAuth(req, res, { context: context, identity: 'bob' });
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(302)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var params = responseParams(res);
+                params['openid.mode'] = 'check_authentication';
+                delete params['openid.signed'];
+
+                op.post('/openid')
+                    .type('form')
+                    .send(params)
+                    .expect(200, 'is_valid:false\nns:' + OPENID_NS + '\n')
+                    .end(done);
+            });
+    });
+
+    it('leaves exceptions thrown by the callback to the caller', function() {
+        var calls = 0;
+
+        assert.throws(function() {
+            promises.invoke(function(next) { next(null, 'found'); }, null, [], function() {
+                calls++;
+                throw new Error('Thrown by the callback');
+            });
+        }, 'Thrown by the callback');
+
+        assert.equal(calls, 1);
+    });
+
+    it('rejects completeAuth when a store fails, without sending anything', function(done) {
+        var store = promiseStore('handle');
+
+        store.put = function() {
+            return Promise.reject(new Error('Association store unavailable'));
+        };
+
+        var op = testHelper.withOptions({
+                associationStore: store,
+                checkAuth: function(req, res, interactive, context) {
+                    return op.provider.completeAuth(req, res, { context: context, identity: 'bob' }).catch(function(err) {
+                        assert.isFalse(res.headersSent);
+                        throw err;
+                    });
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(500, 'Handled: Association store unavailable')
+            .end(done);
+    });
+
+    it('resolves completeAuth once the response has been sent', function(done) {
+        var sent,
+            op = testHelper.withOptions({
+                checkAuth: function(req, res, interactive, context) {
+                    return op.provider.completeAuth(req, res, { context: context, identity: 'bob' }).then(function() {
+                        sent = res.headersSent;
+                    });
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(302)
+            .expect(function(res) {
+                assert.equal(responseParams(res)['openid.mode'], 'id_res');
+                assert.isTrue(sent);
+            })
+            .end(done);
+    });
+
+    it('rejects completeAuth for a different identity without sending anything', function(done) {
+        var op = testHelper.withOptions({
+                checkAuth: function(req, res, interactive, context) {
+                    return op.provider.completeAuth(req, res, { context: context, identity: 'bob' }).catch(function(err) {
+                        assert.equal(err.expected, 'alice');
+                        assert.isFalse(res.headersSent);
+
+                        return op.provider.rejectAuth(req, res, context);
+                    });
+                }
+            });
+
+        checkIdSetup(op, testHelper.identity('alice'))
+            .expect(302)
+            .expect(function(res) {
+                assert.equal(responseParams(res)['openid.mode'], 'cancel');
+            })
+            .end(done);
+    });
+
+    it('passes rejections from checkAuth to the error handler', function(done) {
+        var op = testHelper.withOptions({
+                checkAuth: function(req, res, interactive, context) {
+                    return Promise.reject(new Error('Session store unavailable'));
+                }
+            });
+
+        checkIdSetup(op)
+            .expect(500, 'Handled: Session store unavailable')
+            .end(done);
+    });
+
+    it('resolves completeAuthResponse to the response', function(done) {
+        var provider = new Skylith({
+                providerEndpoint: endpoint,
+                checkAuth: function(interactive, context) {
+                    provider.completeAuthResponse({ context: context, identity: 'bob' }).then(function(response) {
+                        assert.equal(response.status, 302);
+                        assert.equal(url.parse(response.headers.Location, true).query['openid.mode'], 'id_res');
+                    }).then(done, done);
+                }
+            });
+
+        provider.handleRequest({
+            method: 'GET',
+            url: url.format({ pathname: '/', query: { 'openid.ns': OPENID_NS, 'openid.mode': 'checkid_setup',
+                                                      'openid.return_to': 'http://localhost/here' } }),
+            headers: {}
+        }).then(function(response) {
+            assert.isTrue(response.pending);
+        }).catch(done);
+    });
+});
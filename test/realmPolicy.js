@@ -0,0 +1,219 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    checkAuth = testHelper.checkAuth,
+    openIdFields = testHelper.openIdFields,
+    error = testHelper.error,
+    PublicSuffixes = require('../lib/publicSuffixes');
+
+function accepts(provider, realm, returnTo, done) {
+    provider.get('/openid', {
+            mode: 'checkid_setup',
+            realm: realm,
+            return_to: returnTo
+        })
+        .expect(checkAuth({
+            identity: 'bob',
+            ensureInteractive: true
+        }))
+        .expect(openIdFields({
+            mode: 'id_res'
+        }))
+        .end(done);
+}
+
+function refuses(provider, realm, returnTo, message, done) {
+    provider.get('/openid', {
+            mode: 'checkid_setup',
+            realm: realm,
+            return_to: returnTo
+        })
+        .expect(error(message))
+        .end(done);
+}
+
+describe('Realm policy', function() {
+    describe('public suffixes', function() {
+        [
+            ['http://*.com/', 'http://www.example.com/'],
+            ['http://*.co.uk/', 'http://www.example.co.uk/'],
+            ['http://*.github.io/', 'http://bob.github.io/'],
+            ['http://*.foo.ck/', 'http://www.bar.foo.ck/'],
+            ['http://*.com.co/', 'http://www.example.com.co/'],
+            ['http://*.ac.at/', 'http://www.example.ac.at/'],
+            ['http://*.gv.at/', 'http://www.example.gv.at/'],
+            ['http://*.co.hu/', 'http://www.example.co.hu/'],
+            ['http://*.edu.pl/', 'http://www.example.edu.pl/'],
+            ['http://*.com.pk/', 'http://www.example.com.pk/'],
+            ['http://*.com.sa/', 'http://www.example.com.sa/'],
+            ['http://*.blogspot.co.uk/', 'http://bob.blogspot.co.uk/'],
+            ['http://*.xn--55qx5d.cn/', 'http://www.example.xn--55qx5d.cn/']
+        ].forEach(function(pair) {
+            it('refuses ' + pair[0], function(done) {
+                refuses(testHelper, pair[0], pair[1], 'The realm covers a public suffix: ' + pair[0], done);
+            });
+        });
+
+        [
+            ['http://*.example.co.uk/', 'http://www.example.co.uk/here'],
+            ['http://*.www.ck/', 'http://login.www.ck/here']
+        ].forEach(function(pair) {
+            it('accepts ' + pair[0], function(done) {
+                accepts(testHelper, pair[0], pair[1], done);
+            });
+        });
+
+        it('can use a different list', function(done) {
+            var provider = testHelper.withOptions({ realmPolicy: { publicSuffixList: '// Just one\nexample.co.uk\n' } });
+
+            refuses(provider, 'http://*.example.co.uk/', 'http://www.example.co.uk/',
+                    'The realm covers a public suffix: http://*.example.co.uk/', done);
+        });
+
+        it('follows wildcard and exception rules', function() {
+            var publicSuffixes = new PublicSuffixes('*.kobe.jp\n!city.kobe.jp\njp\n');
+
+            assert.equal(publicSuffixes.publicSuffixOf('www.example.kobe.jp'), 'example.kobe.jp');
+            assert.equal(publicSuffixes.publicSuffixOf('www.city.kobe.jp'), 'kobe.jp');
+            assert.equal(publicSuffixes.publicSuffixOf('example.unlisted'), 'unlisted');
+            assert.isTrue(publicSuffixes.isPublicSuffix('example.kobe.jp'));
+            assert.isFalse(publicSuffixes.isPublicSuffix('city.kobe.jp'));
+        });
+
+        it('matches internationalised rules against Punycode hosts', function() {
+            var publicSuffixes = new PublicSuffixes('*.公司.cn\n!城市.公司.cn\ncn\n');
+
+            assert.equal(publicSuffixes.publicSuffixOf('www.example.xn--55qx5d.cn'), 'example.xn--55qx5d.cn');
+            assert.equal(publicSuffixes.publicSuffixOf('www.xn--uis47l.xn--55qx5d.cn'), 'xn--55qx5d.cn');
+        });
+    });
+
+    describe('HTTPS only', function() {
+        var provider = testHelper.withOptions({ realmPolicy: { httpsOnly: true } });
+
+        it('refuses HTTP realms', function(done) {
+            refuses(provider, 'http://localhost/', 'http://localhost/here', 'The realm must use HTTPS: http://localhost/', done);
+        });
+
+        it('refuses HTTP return_to URLs without a realm', function(done) {
+            refuses(provider, null, 'http://localhost/here', 'The realm must use HTTPS: http://localhost/here', done);
+        });
+
+        it('accepts HTTPS realms', function(done) {
+            accepts(provider, 'https://localhost/', 'https://localhost/here', done);
+        });
+    });
+
+    describe('allow and deny lists', function() {
+        var provider = testHelper.withOptions({
+            realmPolicy: {
+                allow: ['localhost', '*.example.com', /^https:\/\/www\.example\.org\//],
+                deny: ['evil.example.com', /\/admin/]
+            }
+        });
+
+        [
+            ['http://localhost/', 'http://localhost/here'],
+            ['http://*.login.example.com/', 'http://www.login.example.com/here'],
+            ['http://www.example.com/', 'http://www.example.com/here'],
+            ['https://www.example.org/', 'https://www.example.org/here']
+        ].forEach(function(pair) {
+            it('accepts ' + pair[0], function(done) {
+                accepts(provider, pair[0], pair[1], done);
+            });
+        });
+
+        [
+            ['http://www.example.org/', 'http://www.example.org/here'],
+            ['http://evil.example.com/', 'http://evil.example.com/here'],
+            ['http://*.localhost.localdomain/', 'http://www.localhost.localdomain/here'],
+            ['http://localhost/admin/', 'http://localhost/admin/here']
+        ].forEach(function(pair) {
+            it('refuses ' + pair[0], function(done) {
+                refuses(provider, pair[0], pair[1], 'The realm is not allowed: ' + pair[0], done);
+            });
+        });
+
+        it('refuses wildcard realms which cover a denied host', function(done) {
+            refuses(provider, 'http://*.example.com/', 'http://www.example.com/here',
+                    'The realm is not allowed: http://*.example.com/', done);
+        });
+    });
+
+    describe('custom checks', function() {
+        it('send the refusal to the Relying Party', function(done) {
+            var provider = testHelper.withOptions({
+                realmPolicy: {
+                    check: function(realm, request, next) {
+                        assert.equal(realm.url, 'http://localhost/');
+                        assert.equal(realm.host, 'localhost');
+                        assert.equal(request.return_to, 'http://localhost/here');
+
+                        next(null, { error: 'Unregistered Relying Party', contact: 'admin@example.com', reference: 'RP-1' });
+                    }
+                }
+            });
+
+            provider.get('/openid', {
+                    mode: 'checkid_setup',
+                    realm: 'http://localhost/',
+                    return_to: 'http://localhost/here'
+                })
+                .expect(error('Unregistered Relying Party'))
+                .expect(openIdFields({
+                    contact: 'admin@example.com',
+                    reference: 'RP-1'
+                }))
+                .end(done);
+        });
+
+        it('can return a promise', function(done) {
+            var provider = testHelper.withOptions({
+                realmPolicy: {
+                    check: function(realm) {
+                        return Promise.resolve(realm.host === 'localhost' ? 'Not today' : null);
+                    }
+                }
+            });
+
+            refuses(provider, 'http://localhost/', 'http://localhost/here', 'Not today', done);
+        });
+
+        it('report their errors as internal errors', function(done) {
+            var provider = testHelper.withOptions({
+                    realmPolicy: {
+                        check: function(realm, request, next) {
+                            next(new Error('Registry unavailable'));
+                        }
+                    }
+                }),
+                errors = [];
+
+            provider.provider.on('internalError', function(event) {
+                errors.push(event.error);
+            });
+
+            // Sent by hand, because a 500 isn't an OpenID response
+            testHelper.checkId(provider, 'checkid_setup')
+                .expect(500, 'Handled: Registry unavailable')
+                .expect(function() {
+                    assert.lengthOf(errors, 1);
+                })
+                .end(done);
+        });
+
+        it('are not asked about realms which are already refused', function(done) {
+            var provider = testHelper.withOptions({
+                realmPolicy: {
+                    deny: ['localhost'],
+                    check: function() {
+                        throw new Error('Should not be called');
+                    }
+                }
+            });
+
+            refuses(provider, 'http://localhost/', 'http://localhost/here', 'The realm is not allowed: http://localhost/', done);
+        });
+    });
+});
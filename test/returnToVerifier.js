@@ -0,0 +1,184 @@
+var http = require('http'),
+    chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    checkAuth = testHelper.checkAuth,
+    ReturnToVerifier = require('../lib/returnToVerifier');
+
+function xrds(returnTo) {
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+           '<xrds:XRDS xmlns:xrds="xri://$xrds" xmlns="xri://$xrd*($v*2.0)">' +
+           '<XRD>' +
+           '<Service priority="0">' +
+           '<Type>http://specs.openid.net/auth/2.0/return_to</Type>' +
+           '<URI>' + returnTo + '</URI>' +
+           '</Service>' +
+           '</XRD>' +
+           '</xrds:XRDS>';
+}
+
+describe('Return_to verification', function() {
+    var server, base;
+
+    before(function(done) {
+        server = http.createServer(function(req, res) {
+            switch (req.url) {
+                case '/direct/':
+                    res.writeHead(200, { 'Content-Type': 'application/xrds+xml' });
+                    return res.end(xrds(base + '/direct/return'));
+                case '/header/':
+                    res.writeHead(200, { 'Content-Type': 'text/html', 'X-XRDS-Location': base + '/header/xrds' });
+                    return res.end('<html></html>');
+                case '/meta/':
+                    res.writeHead(200, { 'Content-Type': 'text/html' });
+                    return res.end('<html><head><meta http-equiv="X-XRDS-Location" content="/meta/xrds"></head></html>');
+                case '/redirect/':
+                    res.writeHead(302, { 'Location': '/direct/' });
+                    return res.end();
+                case '/header/xrds':
+                case '/meta/xrds':
+                    res.writeHead(200, { 'Content-Type': 'text/plain' });  // Content-Type doesn't matter here
+                    return res.end(xrds(base + req.url.replace(/xrds$/, 'return')));
+                default:
+                    res.writeHead(404);
+                    return res.end();
+            }
+        });
+
+        server.listen(0, '127.0.0.1', function() {
+            base = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    function expectResult(realmPath, returnToPath, expected, done) {
+        new ReturnToVerifier().verify(base + realmPath, base + returnToPath, function(err, result) {
+            if (err) return done(err);
+            assert.equal(result, expected);
+            done();
+        });
+    }
+
+    it('verifies using an XRDS document served from the realm', function(done) {
+        expectResult('/direct/', '/direct/return', 'verified', done);
+    });
+
+    it('follows the X-XRDS-Location header', function(done) {
+        expectResult('/header/', '/header/return', 'verified', done);
+    });
+
+    it('follows the X-XRDS-Location meta tag', function(done) {
+        expectResult('/meta/', '/meta/return', 'verified', done);
+    });
+
+    it('follows redirects', function(done) {
+        expectResult('/redirect/', '/direct/return', 'verified', done);
+    });
+
+    it('reports a return_to URL which is not listed', function(done) {
+        expectResult('/direct/', '/direct/elsewhere', 'mismatch', done);
+    });
+
+    it('reports realms without an XRDS document as unverifiable', function(done) {
+        expectResult('/missing/', '/missing/return', 'unverifiable', done);
+    });
+
+    it('discovers wildcard realms using "www"', function(done) {
+        var fetched = [];
+
+        new ReturnToVerifier({
+            fetch: function(target, headers, next) {
+                fetched.push(target);
+                next(null, { status: 404, headers: {}, body: '' });
+            }
+        }).verify('http://*.example.com/', 'http://login.example.com/return', function(err, result) {
+            assert.deepEqual(fetched, ['http://www.example.com/']);
+            assert.equal(result, 'unverifiable');
+            done(err);
+        });
+    });
+
+    it('caches discovery results', function(done) {
+        var fetches = 0,
+            verifier = new ReturnToVerifier({
+                fetch: function(target, headers, next) {
+                    fetches++;
+                    next(null, {
+                        status: 200,
+                        headers: { 'content-type': 'application/xrds+xml; charset=utf-8' },
+                        body: xrds('http://localhost/return')
+                    });
+                }
+            });
+
+        verifier.verify('http://localhost/', 'http://localhost/return', function(err, first) {
+            verifier.verify('http://localhost/', 'http://localhost/other', function(err, second) {
+                assert.equal(first, 'verified');
+                assert.equal(second, 'mismatch');
+                assert.equal(fetches, 1);
+                done(err);
+            });
+        });
+    });
+
+    it('caches failed fetches for much less time', function(done) {
+        var fetches = 0,
+            now = Date.now,
+            verifier = new ReturnToVerifier({
+                fetch: function(target, headers, next) {
+                    fetches++;
+                    next(new Error('ETIMEDOUT'));
+                }
+            });
+
+        verifier.verify('http://localhost/', 'http://localhost/return', function(err) {
+            if (err) return done(err);
+
+            verifier.verify('http://localhost/', 'http://localhost/return', function(err) {
+                if (err) return done(err);
+
+                assert.equal(fetches, 1);
+                Date.now = function() { return now() + 61000; };
+
+                verifier.verify('http://localhost/', 'http://localhost/return', function(err, result) {
+                    Date.now = now;
+                    assert.equal(result, 'unverifiable');
+                    assert.equal(fetches, 2);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it('exposes the result in the checkAuth context', function(done) {
+        testHelper.withOptions({
+                returnToVerification: {
+                    fetch: function(target, headers, next) {
+                        next(null, {
+                            status: 200,
+                            headers: { 'content-type': 'application/xrds+xml' },
+                            body: xrds('http://localhost/here')
+                        });
+                    }
+                }
+            })
+            .get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.equal(context.returnToVerification, 'verified');
+                }
+            }))
+            .end(done);
+    });
+});
@@ -0,0 +1,140 @@
+var chai = require('chai'),
+    assert = chai.assert;
+
+var testHelper = require('./test-helper'),
+    openIdFields = testHelper.openIdFields,
+    checkAuth = testHelper.checkAuth;
+
+var SREG_NS = 'http://openid.net/extensions/sreg/1.1';
+
+describe('Simple Registration', function() {
+    it('parses an SReg 1.1 request into the context', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.sr': SREG_NS,
+                'sr.required': 'nickname,email',
+                'sr.optional': 'fullname,favourite_colour',
+                'sr.policy_url': 'http://localhost/policy'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                verifyContext: function(context) {
+                    assert.deepEqual(context.sreg.required, ['nickname', 'email']);
+                    assert.deepEqual(context.sreg.optional, ['fullname']);
+                    assert.equal(context.sreg.policy_url, 'http://localhost/policy');
+                }
+            }))
+            .end(done);
+    });
+
+    it('returns requested fields using the request alias', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.sr': SREG_NS,
+                'sr.required': 'nickname',
+                'sr.optional': 'email'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    sreg: {
+                        nickname: 'bob',
+                        email: 'bob@example.com',
+                        fullname: 'Bob Smith'  // not requested
+                    }
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                'ns.sr': SREG_NS,
+                'sr.nickname': 'bob',
+                'sr.email': 'bob@example.com',
+                'sr.fullname': undefined
+            }))
+            .expect(function(res) {
+                var signed = res.resParams['openid.signed'].split(',');
+                assert.include(signed, 'ns.sr');
+                assert.include(signed, 'sr.nickname');
+                assert.include(signed, 'sr.email');
+            })
+            .end(done);
+    });
+
+    it('accepts SReg 1.0 requests which only use the "sreg" alias', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'sreg.optional': 'email'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    sreg: {
+                        email: 'bob@example.com'
+                    }
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                'ns.sreg': SREG_NS,
+                'sreg.email': 'bob@example.com'
+            }))
+            .end(done);
+    });
+
+    it('does not add SReg fields when SReg was not requested', function(done) {
+        testHelper.get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    sreg: {
+                        email: 'bob@example.com'
+                    }
+                }
+            }))
+            .expect(openIdFields({
+                mode: 'id_res',
+                'ns.sreg': undefined,
+                'sreg.email': undefined
+            }))
+            .end(done);
+    });
+
+    it('ignores SReg requests when the extension is disabled', function(done) {
+        testHelper.withOptions({ extensions: ['ax', 'pape'] }).get('/openid', {
+                mode: 'checkid_setup',
+                realm: 'http://localhost/',
+                return_to: 'http://localhost/here',
+                'ns.sr': SREG_NS,
+                'sr.required': 'nickname'
+            })
+            .expect(checkAuth({
+                identity: 'bob',
+                ensureInteractive: true,
+                extensions: {
+                    sreg: { nickname: 'bob' }
+                },
+                verifyContext: function(context) {
+                    assert.isUndefined(context.sreg);
+                }
+            }))
+            .expect(openIdFields({
+                'ns.sr': undefined,
+                'sr.nickname': undefined
+            }))
+            .end(done);
+    });
+});
@@ -5,8 +5,8 @@ var express = require('express'),
     assert = chai.assert,
     Skylith = require('../skylith'),
     endpoint = 'http://localhost:3030/openid',  // This doesn't have to be real!
-    skylith = new Skylith({ providerEndpoint: endpoint, checkAuth: checkAuthDelegate }),
-    app = express();
+    skylith,
+    app = createApp();
 
 var OPENID_NS = 'http://specs.openid.net/auth/2.0'
     HEADER_DELEGATED = 'X-SkylithTests-Delegated',
@@ -21,29 +21,100 @@ var COMM_TYPE = {
 
 var currentCheckAuth;
 
-// app.use('/', function(req, res, next) {
-//     console.log(req.method, req.url);
-//     next();
-// });
-
-app.use(express.urlencoded());
-app.use('/openid', skylith.express());
-app.use(app.router);
-
-app.all('/openid', handleDelegated);
-app.all('/openid/*', handleDelegated);
-
 exports = module.exports = {
-    get: get,
-    post: post,
+    get: function(path, params) { return get(app, path, params); },
+    post: function(path, params) { return post(app, path, params); },
+    head: function(path) { return request(app).head(path); },
+    withOptions: withOptions,
     error: error,
     endpoint: endpoint,
     checkAuth: checkAuth,
     openIdFields: openIdFields,
     isDelegated: isDelegated,
+    checkId: checkId,
+    responseParams: responseParams,
     identity: function(name) { return endpoint + '?u=' + encodeURIComponent(name); }
 }
 
+// A checkAuth in the options is used instead of the checkAuth() expectation
+function createApp(options, mountPoints) {
+    var app = express(),
+        providerOptions = {},
+        provider;
+
+    for (var key in options) {
+        providerOptions[key] = options[key];
+    }
+
+    mountPoints = mountPoints || ['/openid'];
+    providerOptions.providerEndpoint = providerOptions.providerEndpoint || endpoint;
+    providerOptions.checkAuth = function() {
+        // completeAuth/rejectAuth must go to whichever provider is asking
+        skylith = provider;
+
+        if (options && options.checkAuth) return options.checkAuth.apply(null, arguments);
+        if (!currentCheckAuth) throw new Error('checkAuth was called');
+
+        currentCheckAuth.apply(null, arguments);
+    }
+
+    provider = new Skylith(providerOptions);
+    app.provider = provider;
+
+    // app.use('/', function(req, res, next) {
+    //     console.log(req.method, req.url);
+    //     next();
+    // });
+
+    app.use(express.urlencoded());
+    mountPoints.forEach(function(mountPoint) {
+        app.use(mountPoint, provider.express());
+    });
+    app.use(app.router);
+
+    app.all('/openid', handleDelegated);
+    app.all('/openid/*', handleDelegated);
+
+    // So tests can see errors from Skylith (or checkAuth)
+    app.use(function(err, req, res, next) {
+        res.send(err.status || 500, 'Handled: ' + err.message);
+    });
+
+    return app;
+}
+
+// Like get() and post(), but against a provider created with extra options (and optionally mounted at
+// places other than /openid)
+function withOptions(options, mountPoints) {
+    var app = createApp(options, mountPoints);
+
+    return {
+        get: function(path, params) { return get(app, path, params); },
+        post: function(path, params) { return post(app, path, params); },
+        head: function(path) { return request(app).head(path); },
+        provider: app.provider
+    }
+}
+
+// A checkid request without the standard expectations, for tests which look at the response themselves
+function checkId(provider, mode, extra) {
+    var query = {
+        'openid.ns': OPENID_NS,
+        'openid.mode': mode,
+        'openid.return_to': 'http://localhost/here'
+    };
+
+    for (var key in extra) {
+        query[key] = extra[key];
+    }
+
+    return provider.get('/openid').query(query);
+}
+
+function responseParams(res) {
+    return url.parse(res.get('Location'), true).query;
+}
+
 function handleDelegated(req, res, next) {
     res.set(HEADER_DELEGATED, 'true');
     res.set(HEADER_DELEGATED_METHOD, req.method);
@@ -57,31 +128,31 @@ function isDelegated() {
     }
 }
 
-function get(path, params) {
+function get(app, path, params) {
     var req = request(app).get(path),
         args = {};
 
     if (params) {
         // req.type('form');
         for (var key in params) {
-            args['openid.' + key] = params[key];
+            if (params[key] !== null) args['openid.' + key] = params[key];
         }
-        args['openid.ns'] = OPENID_NS;
+        if (!('ns' in params)) args['openid.ns'] = OPENID_NS;  // Pass ns: null for an OpenID 1.x request
         req.query(args);
     }
     return req.expect(standardExpectations(args));
 }
 
-function post(path, params) {
+function post(app, path, params) {
     var req = request(app).post(path),
         args = {};
 
     if (params) {
         req.type('form');
         for (var key in params) {
-            args['openid.' + key] = params[key];
+            if (params[key] !== null) args['openid.' + key] = params[key];
         }
-        args['openid.ns'] = OPENID_NS;
+        if (!('ns' in params)) args['openid.ns'] = OPENID_NS;  // Pass ns: null for an OpenID 1.x request
         req.send(args);
     }
     return req.expect(standardExpectations(args));
@@ -129,10 +200,6 @@ function error(message) {
     }
 }
 
-function checkAuthDelegate() {
-    currentCheckAuth.apply(null, arguments);
-}
-
 function checkAuth(options) {
     if (typeof currentCheckAuth !== 'undefined') throw new Error('checkAuth called twice without a callback');
 
@@ -144,18 +211,42 @@ function checkAuth(options) {
         error = undefined;
 
         var authResponse = {
-            context: context,
-            identity: options.identity
+            identity: options.identity,
+            formPost: options.formPost
+        }
+
+        // Extension responses (e.g. 'ax', 'sreg')
+        for (var key in options.extensions) {
+            authResponse[key] = options.extensions[key];
         }
 
         if (allowInteractive !== options.ensureInteractive) {
             error = errorMessage('allowInteractive', allowInteractive, !allowInteractive);
         }
 
+        if (options.verifyContext) {
+            try {
+                options.verifyContext(context);
+            } catch (e) {
+                error = e.message;
+            }
+        }
+
         if (options.succeed) {
-            skylith.completeAuth(req, res, authResponse);
+            skylith.completeAuth(req, res, context.handle, authResponse, function(err) {
+                if (!err) return;
+
+                if (!options.onCompleteError) {
+                    res.statusCode = 500;
+                    return res.end(err.message);
+                }
+
+                // Behave like an application which falls back to rejecting the authentication
+                options.onCompleteError(err);
+                skylith.rejectAuth(req, res, context.handle, { formPost: options.formPost });
+            });
         } else {
-            skylith.rejectAuth(req, res, context);
+            skylith.rejectAuth(req, res, context.handle, { formPost: options.formPost });
         }
     }
 
@@ -201,7 +292,7 @@ function parseIndirectResponseParams(res) {
 function standardExpectations(reqParams) {
     return function(res) {
         // Support discovery queries which aren't standard OpenID queries
-        if (!reqParams['openid.ns']) return;
+        if (!reqParams['openid.ns'] && !reqParams['openid.mode']) return;
 
         var commType = calculateCommType(res, reqParams['openid.mode']),
             resParams;
@@ -222,13 +313,17 @@ function standardExpectations(reqParams) {
         res.reqParams = reqParams;
         res.resParams = resParams;
 
-        if (resParams['openid.ns'] !== OPENID_NS) return errorMessage('openid.ns', resParams, OPENID_NS);
+        if (isOpenId1(reqParams)) {
+            if ('openid.ns' in resParams) return 'openid.ns should not be sent in OpenID 1.x responses';
+        } else {
+            if (resParams['openid.ns'] !== OPENID_NS) return errorMessage('openid.ns', resParams, OPENID_NS);
+        }
 
         if (commType == 'indirect') {
             if (!responseMode) return errorMessage('openid.mode', resParams, 'a value');
         } else {
-            // Direct error responses (400's) don't explicitly include the 'openid.mode' parameter
-            if (res.status == 400) responseMode = 'error';
+            // Direct responses don't explicitly include the 'openid.mode' parameter
+            responseMode = res.status == 400 ? 'error' : reqParams['openid.mode'];
         }
 
         var expectations = expectationsByMode[responseMode];
@@ -237,9 +332,18 @@ function standardExpectations(reqParams) {
     }
 }
 
+function isOpenId1(reqParams) {
+    return reqParams['openid.ns'] !== OPENID_NS;
+}
+
 var expectationsByMode = {
     'id_res': function(req, res, reqParams, resParams) {
-        if (resParams['openid.op_endpoint'] !== endpoint) return errorMessage('openid.op_endpoint', resParams, endpoint);
+        if (isOpenId1(reqParams)) {
+            // Negative response to checkid_immediate (OpenID 1.1, section 4.2.2.2)
+            if (resParams['openid.user_setup_url']) return;
+        } else {
+            if (resParams['openid.op_endpoint'] !== endpoint) return errorMessage('openid.op_endpoint', resParams, endpoint);
+        }
         if (resParams['openid.return_to'] !== reqParams['openid.return_to']) return errorMessage('openid.return_to', resParams, reqParams['openid.return_to']);
         if (!resParams['openid.assoc_handle']) return errorMessage('openid.assoc_handle', resParams, 'a value');
         if (!resParams['openid.sig']) return errorMessage('openid.sig', resParams, 'a value');
@@ -256,13 +360,22 @@ var expectationsByMode = {
 
         if (!resParams['openid.signed']) return errorMessage('openid.signed', resParams, 'a value');
         var signed = resParams['openid.signed'].split(',');
-        if (signed.indexOf('op_endpoint') == -1) return 'Signed fields must include op_endpoint';
+        if (!isOpenId1(reqParams) && signed.indexOf('op_endpoint') == -1) return 'Signed fields must include op_endpoint';
         if (signed.indexOf('return_to') == -1) return 'Signed fields must include return_to';
         if (signed.indexOf('response_nonce') == -1) return 'Signed fields must include response_nonce';
         if (signed.indexOf('assoc_handle') == -1) return 'Signed fields must include assoc_handle';
         if (resParams['openid.claimed_id'] && signed.indexOf('claimed_id') == -1) return 'Signed fields must include claimed_id when claimed_id is present';
         if (resParams['openid.identity'] && signed.indexOf('identity') == -1) return 'Signed fields must include identity when identity is present';
     },
+    'associate': function(req, res, reqParams, resParams) {
+        if (!resParams['openid.assoc_handle']) return errorMessage('openid.assoc_handle', resParams, 'a value');
+        if (!resParams['openid.assoc_type']) return errorMessage('openid.assoc_type', resParams, 'a value');
+        if (!resParams['openid.expires_in']) return errorMessage('openid.expires_in', resParams, 'a value');
+        if (!resParams['openid.mac_key'] && !resParams['openid.enc_mac_key']) return errorMessage('openid.mac_key/enc_mac_key', resParams, 'a value');
+    },
+    'check_authentication': function(req, res, reqParams, resParams) {
+        if (!resParams['openid.is_valid']) return errorMessage('openid.is_valid', resParams, 'a value');
+    },
     'cancel': function(req, res, reqParams, resParams) {},
     'setup_needed': function(req, res, reqParams, resParams) {},
     'error': function(req, res, reqParams, resParams) {}